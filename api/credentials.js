@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import { ensureApiBasePath, normalizeBaseUrl } from "../freshsales-tools.js";
+import { getStore } from "./kv-store.js";
+
+// "shared" uses FRESHSALES_API_KEY/FRESHSALES_BASE_URL for every caller;
+// "per_user" collects each user's own key during /oauth/authorize.
+export const CREDENTIALS_MODE = (process.env.FRESHSALES_CREDENTIALS_MODE || "shared").toLowerCase();
+
+const ALLOWED_DOMAIN_SUFFIXES = (process.env.FRESHSALES_ALLOWED_DOMAINS || ".myfreshworks.com,.freshsales.io")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+const credentialStore = () => getStore("credentials");
+
+function encryptionKey() {
+  const secret = process.env.FRESHSALES_CREDENTIALS_KEY;
+  if (!secret) {
+    throw new Error("FRESHSALES_CREDENTIALS_KEY is required when FRESHSALES_CREDENTIALS_MODE=per_user");
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return {
+    iv: iv.toString("base64url"),
+    tag: cipher.getAuthTag().toString("base64url"),
+    data: data.toString("base64url"),
+  };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]);
+  return JSON.parse(plain.toString("utf8"));
+}
+
+/**
+ * Normalises a user-supplied Freshsales domain to an API base URL, rejecting
+ * hosts outside FRESHSALES_ALLOWED_DOMAINS so the server cannot be pointed at
+ * arbitrary URLs.
+ */
+export function resolveFreshsalesBaseUrl(domain) {
+  const baseUrl = ensureApiBasePath(normalizeBaseUrl(domain || ""));
+  if (!baseUrl) return null;
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase();
+  if (url.protocol !== "https:") return null;
+  if (!ALLOWED_DOMAIN_SUFFIXES.some((suffix) => host.endsWith(suffix))) return null;
+  return baseUrl;
+}
+
+// The record ID is derived from the account and the user who authorized, so
+// authorizing again (also with a rotated API key) overwrites that user's
+// record instead of adding one. It is keyed with the encryption secret so
+// IDs in tokens reveal nothing.
+const credentialId = (baseUrl, email) =>
+  crypto.createHmac("sha256", encryptionKey()).update(`${baseUrl}|${email}`).digest("base64url");
+
+// `email` must already be verified as a user of the Freshsales account.
+export async function saveUserCredentials({ apiKey, baseUrl }, email) {
+  if (!email) throw new Error("saveUserCredentials needs the verified user email");
+  const id = credentialId(baseUrl, email.toLowerCase());
+  await credentialStore().set(id, {
+    ...encrypt({ api_key: apiKey, base_url: baseUrl }),
+    created_at: Date.now(),
+  });
+  return id;
+}
+
+export async function loadUserCredentials(id) {
+  if (!id) return null;
+  const record = await credentialStore().get(id);
+  if (!record) return null;
+  try {
+    const { api_key, base_url } = decrypt(record);
+    return { apiKey: api_key, baseUrl: base_url };
+  } catch {
+    return null;
+  }
+}
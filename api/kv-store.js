@@ -0,0 +1,161 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Keys come from tokens, client IDs and other request-derived values, so they
+// are restricted before being used as file names.
+const isValidKey = (key) => typeof key === "string" && /^[A-Za-z0-9_.:-]{1,200}$/.test(key) && !key.includes("..");
+
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry) return null;
+      if (entry.expires_at && Date.now() > entry.expires_at) {
+        records.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      records.set(key, { value, expires_at: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    async delete(key) {
+      records.delete(key);
+    },
+
+    async keys() {
+      return [...records.keys()];
+    },
+  };
+}
+
+function createFileStore(dir) {
+  const ready = fs.mkdir(dir, { recursive: true });
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  const read = async (key) => {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  return {
+    async get(key) {
+      if (!isValidKey(key)) return null;
+      await ready;
+      const entry = await read(key);
+      if (!entry) return null;
+      if (entry.expires_at && Date.now() > entry.expires_at) {
+        await fs.rm(fileFor(key), { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      if (!isValidKey(key)) throw new Error("Invalid store key");
+      await ready;
+      const entry = { value, expires_at: ttlMs ? Date.now() + ttlMs : null };
+      await fs.writeFile(fileFor(key), JSON.stringify(entry), { mode: 0o600 });
+    },
+
+    async delete(key) {
+      if (!isValidKey(key)) return;
+      await ready;
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async keys() {
+      await ready;
+      const names = await fs.readdir(dir);
+      return names.filter((n) => n.endsWith(".json")).map((n) => n.slice(0, -5));
+    },
+  };
+}
+
+// Upstash Redis / Vercel KV over its REST API, so every serverless function
+// sees the same data.
+function createUpstashStore(namespace, { url, token }) {
+  const prefix = `${namespace}:`;
+
+  const command = async (...args) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+    });
+    const body = await res.json();
+    if (!res.ok || body.error) throw new Error(`KV store error: ${body.error ?? res.status}`);
+    return body.result;
+  };
+
+  return {
+    async get(key) {
+      const raw = await command("GET", prefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      const args = ["SET", prefix + key, JSON.stringify(value)];
+      if (ttlMs) args.push("PX", String(ttlMs));
+      await command(...args);
+    },
+
+    async delete(key) {
+      await command("DEL", prefix + key);
+    },
+
+    async keys() {
+      const keys = await command("KEYS", `${prefix}*`);
+      return keys.map((k) => k.slice(prefix.length));
+    },
+  };
+}
+
+const stores = new Map();
+
+/**
+ * Returns the key/value store for a namespace, backed by OAUTH_STORE:
+ * "memory", "file" (under OAUTH_STORE_PATH) or "upstash" (KV_REST_API_URL and
+ * KV_REST_API_TOKEN, the default when those are set). The memory backend is
+ * per process, so on Vercel, where each api/*.js file is its own function,
+ * use "upstash".
+ */
+export function getStore(
+  namespace,
+  {
+    type = process.env.OAUTH_STORE || (process.env.KV_REST_API_URL ? "upstash" : "memory"),
+    dir = process.env.OAUTH_STORE_PATH || ".oauth-store",
+  } = {},
+) {
+  const id = `${type}:${namespace}`;
+  if (stores.has(id)) return stores.get(id);
+
+  let store;
+  switch (type.toLowerCase()) {
+    case "memory":
+      store = createMemoryStore();
+      break;
+    case "file":
+      store = createFileStore(path.resolve(dir, namespace));
+      break;
+    case "upstash":
+      store = createUpstashStore(namespace, {
+        url: process.env.KV_REST_API_URL,
+        token: process.env.KV_REST_API_TOKEN,
+      });
+      break;
+    default:
+      throw new Error(`Unknown OAUTH_STORE: ${type}`);
+  }
+
+  stores.set(id, store);
+  return store;
+}
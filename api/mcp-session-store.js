@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Keeps replay buffers bounded; older events are dropped first.
+const MAX_EVENTS_PER_SESSION = Number(process.env.MCP_MAX_EVENTS_PER_SESSION) || 500;
+// The file store rewrites an events file only once it is this far over the
+// cap, so trimming is not paid on every append.
+const EVENT_TRIM_SLACK = Math.ceil(MAX_EVENTS_PER_SESSION / 10);
+
+// Session IDs arrive in a client-controlled header, so they must never be
+// usable as a path fragment.
+export const isValidSessionId = (id) => typeof id === "string" && /^[A-Za-z0-9-]{1,128}$/.test(id);
+
+// ---------------------------------------------------------------------------
+// In-memory store (default)
+// ---------------------------------------------------------------------------
+
+function createMemorySessionStore() {
+  const sessions = new Map();
+  const events = new Map();
+
+  return {
+    async getSession(id) {
+      return sessions.get(id) ?? null;
+    },
+
+    async saveSession(id, record) {
+      sessions.set(id, record);
+    },
+
+    async deleteSession(id) {
+      sessions.delete(id);
+      events.delete(id);
+    },
+
+    async listSessions() {
+      return [...sessions.entries()].map(([id, record]) => ({ id, ...record }));
+    },
+
+    async appendEvent(sessionId, event) {
+      const list = events.get(sessionId) ?? [];
+      list.push(event);
+      if (list.length > MAX_EVENTS_PER_SESSION) list.splice(0, list.length - MAX_EVENTS_PER_SESSION);
+      events.set(sessionId, list);
+    },
+
+    async readEvents(sessionId) {
+      return events.get(sessionId) ?? [];
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// File-backed store (single node)
+// ---------------------------------------------------------------------------
+
+function createFileSessionStore(dir) {
+  const sessionFile = (id) => path.join(dir, `${id}.json`);
+  const eventsFile = (id) => path.join(dir, `${id}.events.jsonl`);
+  const ready = fs.mkdir(dir, { recursive: true });
+  // sessionId -> events in its file, counted once per process.
+  const eventCounts = new Map();
+
+  const readJson = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  const readEvents = async (sessionId) => {
+    try {
+      const raw = await fs.readFile(eventsFile(sessionId), "utf8");
+      return raw.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  };
+
+  return {
+    async getSession(id) {
+      if (!isValidSessionId(id)) return null;
+      await ready;
+      return readJson(sessionFile(id));
+    },
+
+    async saveSession(id, record) {
+      if (!isValidSessionId(id)) throw new Error("Invalid session id");
+      await ready;
+      await fs.writeFile(sessionFile(id), JSON.stringify(record));
+    },
+
+    async deleteSession(id) {
+      if (!isValidSessionId(id)) return;
+      await ready;
+      eventCounts.delete(id);
+      await fs.rm(sessionFile(id), { force: true });
+      await fs.rm(eventsFile(id), { force: true });
+    },
+
+    async listSessions() {
+      await ready;
+      const names = await fs.readdir(dir);
+      const out = [];
+      for (const name of names) {
+        const match = /^([A-Za-z0-9-]+)\.json$/.exec(name);
+        if (!match) continue;
+        const record = await readJson(path.join(dir, name));
+        if (record) out.push({ id: match[1], ...record });
+      }
+      return out;
+    },
+
+    async appendEvent(sessionId, event) {
+      if (!isValidSessionId(sessionId)) throw new Error("Invalid session id");
+      await ready;
+      if (!eventCounts.has(sessionId)) eventCounts.set(sessionId, (await readEvents(sessionId)).length);
+      await fs.appendFile(eventsFile(sessionId), `${JSON.stringify(event)}\n`);
+      const count = eventCounts.get(sessionId) + 1;
+      eventCounts.set(sessionId, count);
+      if (count > MAX_EVENTS_PER_SESSION + EVENT_TRIM_SLACK) {
+        const kept = (await readEvents(sessionId)).slice(-MAX_EVENTS_PER_SESSION);
+        await fs.writeFile(eventsFile(sessionId), kept.map((e) => `${JSON.stringify(e)}\n`).join(""));
+        eventCounts.set(sessionId, kept.length);
+      }
+    },
+
+    async readEvents(sessionId) {
+      if (!isValidSessionId(sessionId)) return [];
+      await ready;
+      return readEvents(sessionId);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the session store selected by MCP_SESSION_STORE ("memory" or "file").
+ * The file store writes under MCP_SESSION_STORE_PATH and is only safe when a
+ * single process serves all requests.
+ */
+export function createSessionStore({
+  type = process.env.MCP_SESSION_STORE || "memory",
+  dir = process.env.MCP_SESSION_STORE_PATH || ".mcp-sessions",
+} = {}) {
+  switch (type.toLowerCase()) {
+    case "memory":
+      return createMemorySessionStore();
+    case "file":
+      return createFileSessionStore(path.resolve(dir));
+    default:
+      throw new Error(`Unknown MCP_SESSION_STORE: ${type}`);
+  }
+}
+
+/**
+ * Adapts a session store to the SDK's EventStore interface for one session,
+ * so SSE streams can be replayed from a Last-Event-ID.
+ */
+export function createEventStore(store, sessionId) {
+  return {
+    async storeEvent(streamId, message) {
+      const eventId = `${streamId}_${Date.now().toString(36)}${crypto.randomBytes(4).toString("hex")}`;
+      await store.appendEvent(sessionId, { id: eventId, stream_id: streamId, message });
+      return eventId;
+    },
+
+    async getStreamIdForEventId(eventId) {
+      const events = await store.readEvents(sessionId);
+      return events.find((e) => e.id === eventId)?.stream_id;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const events = await store.readEvents(sessionId);
+      const index = events.findIndex((e) => e.id === lastEventId);
+      if (index === -1) return "";
+      const { stream_id: streamId } = events[index];
+      for (const event of events.slice(index + 1)) {
+        if (event.stream_id === streamId) await send(event.id, event.message);
+      }
+      return streamId;
+    },
+  };
+}
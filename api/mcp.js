@@ -1,33 +1,104 @@
+import crypto from "crypto";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
+  isInitializeRequest,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import {
   createHttpClient,
   ensureApiBasePath,
   getTools,
+  isToolAllowed,
+  loadFieldSettings,
   normalizeBaseUrl,
   runTool,
+  toToolError,
 } from "../freshsales-tools.js";
-import { setCorsHeaders, verifyAccessToken } from "./oauth-utils.js";
+import { CREDENTIALS_MODE, loadUserCredentials } from "./credentials.js";
+import { createEventStore, createSessionStore } from "./mcp-session-store.js";
+import {
+  DEFAULT_SCOPE,
+  parseScope,
+  setCorsHeaders,
+  verifyAccessToken,
+} from "./oauth-utils.js";
 
 const API_KEY = process.env.FRESHSALES_API_KEY;
 const BASE_URL = ensureApiBasePath(
   normalizeBaseUrl(process.env.FRESHSALES_BASE_URL || ""),
 );
 
-const http = createHttpClient({
-  apiKey: API_KEY,
-  baseUrl: BASE_URL,
+// "stateless" (default) builds a fresh server per request; "stateful" issues
+// Mcp-Session-Id headers and keeps resumable event streams per session.
+const SESSION_MODE = (process.env.MCP_SESSION_MODE || "stateless").toLowerCase();
+const SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS) || 60 * 60 * 1000;
+const PROGRESS_INTERVAL_MS = Number(process.env.MCP_PROGRESS_INTERVAL_MS) || 10 * 1000;
+// Listing every session is costly with the file store, so expired sessions
+// are swept at most this often; a request to an expired one closes it first.
+const SESSION_SWEEP_INTERVAL_MS = Number(process.env.MCP_SESSION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+const sessionStore = SESSION_MODE === "stateful" ? createSessionStore() : null;
+
+// sessionId -> { server, transport }; only sessions served by this process.
+const liveSessions = new Map();
+
+const sharedHttp =
+  API_KEY && BASE_URL
+    ? createHttpClient({
+        apiKey: API_KEY,
+        baseUrl: BASE_URL,
+      })
+    : null;
+
+// Files a tool returns (exports, documents) travel as embedded resources.
+const toToolResult = ({ resource, ...data }) => ({
+  content: [
+    { type: "text", text: JSON.stringify(data, null, 2) },
+    ...(resource ? [{ type: "resource", resource }] : []),
+  ],
 });
 
-const toToolResult = (data) => ({
-  content: [{ type: "text", text: JSON.stringify(data, null, 2) }],
+const jsonRpcError = (code, message) => ({
+  jsonrpc: "2.0",
+  error: { code, message },
+  id: null,
 });
 
-async function createMcpServer() {
+// Sends periodic progress notifications while a tool call is pending so that
+// long calls keep their SSE stream alive and leave resumable events behind.
+async function withProgress(request, extra, task) {
+  const progressToken = request.params._meta?.progressToken;
+  if (progressToken === undefined) return task;
+
+  let progress = 0;
+  const notify = (message) =>
+    extra
+      .sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress: progress++, message },
+      })
+      .catch(() => {});
+
+  await notify(`Running ${request.params.name}`);
+  const timer = setInterval(() => notify(`Still running ${request.params.name}`), PROGRESS_INTERVAL_MS);
+  try {
+    return await task;
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+// In per-user mode every token carries a reference to the caller's own
+// Freshsales credentials, so the client is built per request.
+async function resolveHttpClient(token) {
+  if (CREDENTIALS_MODE !== "per_user") return sharedHttp;
+  const creds = await loadUserCredentials(token.cred);
+  return creds ? createHttpClient(creds) : null;
+}
+
+async function createMcpServer(http) {
   const server = new Server(
     {
       name: "freshsales-basic-mcp-http",
@@ -40,24 +111,162 @@ async function createMcpServer() {
     },
   );
 
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: getTools(),
+  // Scopes come from the access token of each request (see req.auth below),
+  // so a session always reflects the token currently in use.
+  server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => ({
+    tools: getTools(await loadFieldSettings(http)).filter((tool) => isToolAllowed(tool.name, extra.authInfo?.scopes)),
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
     try {
-      const { name, arguments: args } = request.params;
-      const result = await runTool(http, name, args);
+      const scopes = extra.authInfo?.scopes;
+      // Paths in arguments would name files on the server, not the client's.
+      const result = await withProgress(request, extra, runTool(http, name, args, { scopes, localFiles: false }));
       return toToolResult(result);
     } catch (error) {
-      const message = error.response?.data ?? error.message;
-      return toToolResult({ success: false, error: message });
+      return { ...toToolResult(toToolError(error, { name, args })), isError: true };
     }
   });
 
   return server;
 }
 
+// ---------------------------------------------------------------------------
+// Stateful sessions
+// ---------------------------------------------------------------------------
+
+async function closeSession(sessionId) {
+  const live = liveSessions.get(sessionId);
+  liveSessions.delete(sessionId);
+  await sessionStore.deleteSession(sessionId);
+  if (live) {
+    await live.transport.close();
+    await live.server.close();
+  }
+}
+
+let lastSweepAt = 0;
+
+const isExpired = (record, now = Date.now()) => now - record.last_seen_at > SESSION_TTL_MS;
+
+async function sweepExpiredSessions() {
+  const now = Date.now();
+  if (now - lastSweepAt < SESSION_SWEEP_INTERVAL_MS) return;
+  lastSweepAt = now;
+  for (const session of await sessionStore.listSessions()) {
+    if (isExpired(session, now)) await closeSession(session.id);
+  }
+}
+
+async function openTransport(sessionId, http, { restored = false } = {}) {
+  const server = await createMcpServer(http);
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => sessionId,
+    eventStore: createEventStore(sessionStore, sessionId),
+    onsessioninitialized: (id) => {
+      liveSessions.set(id, { server, transport });
+    },
+    onsessionclosed: async (id) => {
+      liveSessions.delete(id);
+      await sessionStore.deleteSession(id);
+    },
+  });
+
+  transport.onclose = () => {
+    liveSessions.delete(sessionId);
+  };
+
+  if (restored) {
+    // A session persisted by another process lifetime (file store) has
+    // already completed its initialize handshake; mark the new transport as
+    // initialized so follow-up requests and Last-Event-ID replays are accepted.
+    // The SDK has no public API for this: these private fields belong to the
+    // exact SDK version pinned in package.json. Check them before upgrading;
+    // the guard turns a changed layout into an error instead of a session
+    // that silently rejects every request.
+    const inner = transport._webStandardTransport;
+    if (!inner || inner._initialized !== false) {
+      throw new Error("Cannot restore MCP session: unsupported @modelcontextprotocol/sdk transport internals");
+    }
+    inner.sessionId = sessionId;
+    inner._initialized = true;
+    liveSessions.set(sessionId, { server, transport });
+  }
+
+  await server.connect(transport);
+  return { server, transport };
+}
+
+async function handleSessionRequest(req, res, token, http) {
+  await sweepExpiredSessions();
+
+  const sessionId = req.headers["mcp-session-id"];
+
+  if (!sessionId) {
+    if (req.method !== "POST" || !isInitializeRequest(req.body)) {
+      return res
+        .status(400)
+        .json(jsonRpcError(-32000, "Bad Request: No valid session ID provided"));
+    }
+
+    const newId = crypto.randomUUID();
+    await sessionStore.saveSession(newId, {
+      client_id: token.client_id,
+      cred: token.cred ?? null,
+      created_at: Date.now(),
+      last_seen_at: Date.now(),
+    });
+    const { transport } = await openTransport(newId, http);
+    return transport.handleRequest(req, res, req.body);
+  }
+
+  let record = await sessionStore.getSession(sessionId);
+  if (record && isExpired(record)) {
+    await closeSession(sessionId);
+    record = null;
+  }
+  // Sessions are bound to the OAuth client and credentials that opened them.
+  if (!record || record.client_id !== token.client_id || record.cred !== (token.cred ?? null)) {
+    return res.status(404).json(jsonRpcError(-32001, "Session not found"));
+  }
+
+  await sessionStore.saveSession(sessionId, { ...record, last_seen_at: Date.now() });
+
+  const live = liveSessions.get(sessionId) ?? (await openTransport(sessionId, http, { restored: true }));
+  return live.transport.handleRequest(req, res, req.body);
+}
+
+// ---------------------------------------------------------------------------
+// Stateless requests
+// ---------------------------------------------------------------------------
+
+async function handleStatelessRequest(req, res, http) {
+  const server = await createMcpServer(http);
+
+  try {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+    });
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+
+    res.on("close", async () => {
+      await transport.close();
+      await server.close();
+    });
+  } catch (error) {
+    console.error("Error handling MCP request:", error);
+
+    if (!res.headersSent) {
+      res.status(500).json(jsonRpcError(-32603, "Internal server error"));
+    }
+
+    await server.close();
+  }
+}
+
 export default async function handler(req, res) {
   setCorsHeaders(res);
 
@@ -75,46 +284,43 @@ export default async function handler(req, res) {
     });
   }
 
-  if (!verifyAccessToken(auth.slice(7))) {
+  const token = await verifyAccessToken(auth.slice(7));
+  if (!token) {
     res.setHeader("WWW-Authenticate", 'Bearer error="invalid_token"');
     return res.status(401).json({ error: "invalid_token" });
   }
 
-  if (!API_KEY || !BASE_URL) {
+  // Picked up by the SDK transport and exposed to handlers as extra.authInfo.
+  req.auth = {
+    token: auth.slice(7),
+    clientId: token.client_id,
+    scopes: parseScope(token.scope ?? DEFAULT_SCOPE),
+  };
+
+  const http = await resolveHttpClient(token);
+  if (!http && CREDENTIALS_MODE === "per_user") {
+    res.setHeader("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return res.status(401).json({
+      error: "invalid_token",
+      error_description: "Freshsales credentials for this token were not found; authorize again",
+    });
+  }
+
+  if (!http) {
     return res.status(500).json({
       error:
         "Missing required env vars: FRESHSALES_API_KEY and/or FRESHSALES_BASE_URL",
     });
   }
 
-  const server = await createMcpServer();
+  if (!sessionStore) return handleStatelessRequest(req, res, http);
 
   try {
-    const transport = new StreamableHTTPServerTransport({
-      sessionIdGenerator: undefined,
-    });
-
-    await server.connect(transport);
-    await transport.handleRequest(req, res, req.body);
-
-    res.on("close", async () => {
-      await transport.close();
-      await server.close();
-    });
+    await handleSessionRequest(req, res, token, http);
   } catch (error) {
-    console.error("Error handling MCP request:", error);
-
+    console.error("Error handling MCP session request:", error);
     if (!res.headersSent) {
-      res.status(500).json({
-        jsonrpc: "2.0",
-        error: {
-          code: -32603,
-          message: "Internal server error",
-        },
-        id: null,
-      });
+      res.status(500).json(jsonRpcError(-32603, "Internal server error"));
     }
-
-    await server.close();
   }
 }
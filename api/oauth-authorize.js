@@ -1,24 +1,298 @@
-import { createAuthCode, setCorsHeaders } from "./oauth-utils.js";
+import crypto from "crypto";
+import {
+  createHttpClient,
+  ensureApiBasePath,
+  normalizeBaseUrl,
+} from "../freshsales-tools.js";
+import {
+  CREDENTIALS_MODE,
+  resolveFreshsalesBaseUrl,
+  saveUserCredentials,
+} from "./credentials.js";
+import { getStore } from "./kv-store.js";
+import { getClient, isRegisteredRedirectUri } from "./oauth-clients.js";
+import { createAuthCode, parseScope, resolveScope, setCorsHeaders } from "./oauth-utils.js";
 
-export default function handler(req, res) {
+// Login gate: OAUTH_ADMIN_PASSWORD is a shared password, OAUTH_ALLOWED_EMAILS
+// a comma-separated allowlist (entries starting with "@" match a whole
+// domain) and OAUTH_VERIFY_FRESHSALES_USER requires the email to be an active
+// user of the Freshsales account. Per-user credentials are always stored
+// under a verified user, so that mode implies the check.
+const ADMIN_PASSWORD = process.env.OAUTH_ADMIN_PASSWORD || "";
+const ALLOWED_EMAILS = (process.env.OAUTH_ALLOWED_EMAILS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const VERIFY_FRESHSALES_USER =
+  process.env.OAUTH_VERIFY_FRESHSALES_USER === "true" || CREDENTIALS_MODE === "per_user";
+const REQUIRES_EMAIL = ALLOWED_EMAILS.length > 0 || VERIFY_FRESHSALES_USER;
+
+// Failed logins are counted per client IP and per client_id; past the limit
+// the form answers 429 until the window ends. X-Forwarded-For is only read
+// on Vercel or with OAUTH_TRUST_PROXY=true, since clients can set it.
+const MAX_LOGIN_FAILURES = Number(process.env.OAUTH_MAX_LOGIN_FAILURES) || 10;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const TRUST_PROXY = Boolean(process.env.VERCEL) || process.env.OAUTH_TRUST_PROXY === "true";
+
+// Authorization request parameters carried through the login form.
+const AUTHORIZE_PARAMS = [
+  "response_type",
+  "client_id",
+  "redirect_uri",
+  "state",
+  "scope",
+  "code_challenge",
+  "code_challenge_method",
+];
+
+const SCOPE_DESCRIPTIONS = {
+  "crm:read": "Read contacts, accounts, deals, tasks, meetings and notes",
+  "crm:write": "Create and update CRM records",
+  "crm:delete": "Delete CRM records",
+};
+
+const escapeHtml = (v = "") =>
+  String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const safeEqual = (a, b) =>
+  crypto.timingSafeEqual(
+    crypto.createHash("sha256").update(String(a)).digest(),
+    crypto.createHash("sha256").update(String(b)).digest(),
+  );
+
+const isEmailAllowed = (email) =>
+  !ALLOWED_EMAILS.length ||
+  ALLOWED_EMAILS.some((entry) => (entry.startsWith("@") ? email.endsWith(entry) : email === entry));
+
+function renderAuthorizePage(params, client, error) {
+  const hidden = AUTHORIZE_PARAMS.filter((k) => params[k])
+    .map((k) => `<input type="hidden" name="${k}" value="${escapeHtml(params[k])}" />`)
+    .join("\n        ");
+  const scopes = parseScope(params.scope);
+  const redirectHost = new URL(params.redirect_uri).host;
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="robots" content="noindex, nofollow" />
+    <title>Authorize access to Freshsales</title>
+  </head>
+  <body>
+    <main>
+      <h1>Authorize access to Freshsales</h1>
+      <p><strong>${escapeHtml(client.client_name || client.client_id)}</strong> wants to access your Freshsales CRM
+        and will be redirected to <strong>${escapeHtml(redirectHost)}</strong>.</p>
+      <p>Requested access:</p>
+      <ul>${scopes.map((s) => `<li>${escapeHtml(SCOPE_DESCRIPTIONS[s] ?? s)}</li>`).join("")}</ul>
+      ${error ? `<p role="alert">${escapeHtml(error)}</p>` : ""}
+      <form method="post" action="/oauth/authorize">
+        ${hidden}
+        ${
+          REQUIRES_EMAIL
+            ? `<label>Email
+          <input name="email" type="email" autocomplete="username" required />
+        </label>`
+            : ""
+        }
+        ${
+          ADMIN_PASSWORD
+            ? `<label>Password
+          <input name="password" type="password" autocomplete="current-password" required />
+        </label>`
+            : ""
+        }
+        ${
+          CREDENTIALS_MODE === "per_user"
+            ? `<p>Notes, tasks and other changes will be made as the owner of this API key.</p>
+        <label>Freshsales domain
+          <input name="freshsales_domain" placeholder="yourcompany.myfreshworks.com" required />
+        </label>
+        <label>API key
+          <input name="freshsales_api_key" type="password" autocomplete="off" required />
+        </label>`
+            : ""
+        }
+        <button type="submit" name="decision" value="approve">Approve</button>
+        <button type="submit" name="decision" value="deny" formnovalidate>Deny</button>
+      </form>
+    </main>
+  </body>
+</html>`;
+}
+
+function sharedHttpClient() {
+  const baseUrl = ensureApiBasePath(normalizeBaseUrl(process.env.FRESHSALES_BASE_URL || ""));
+  const apiKey = process.env.FRESHSALES_API_KEY;
+  return apiKey && baseUrl ? createHttpClient({ apiKey, baseUrl }) : null;
+}
+
+// Read past the metadata cache so a deactivated user is refused at once.
+async function isActiveFreshsalesUser(http, email) {
+  const res = await http.get("/users", { fsSkipCache: true });
+  const users = Array.isArray(res.data?.users) ? res.data.users : Array.isArray(res.data) ? res.data : [];
+  return users.some(
+    (u) => (u.email ?? "").toString().toLowerCase() === email && u.is_active !== false,
+  );
+}
+
+const loginFailures = () => getStore("login-failures");
+
+const clientIp = (req) => {
+  const forwarded = TRUST_PROXY ? String(req.headers?.["x-forwarded-for"] ?? "").split(",")[0].trim() : "";
+  return forwarded || req.socket?.remoteAddress || "unknown";
+};
+
+// Store keys are limited to a safe character set, so identifiers are hashed.
+const failureKeys = (req, clientId) =>
+  [`ip:${clientIp(req)}`, `client:${clientId}`].map((id) => crypto.createHash("sha256").update(id).digest("hex"));
+
+// Milliseconds until the login form may be tried again, or 0.
+async function loginRetryAfterMs(keys) {
+  const entries = await Promise.all(keys.map((k) => loginFailures().get(k)));
+  const blocked = entries.filter((e) => e && e.count >= MAX_LOGIN_FAILURES);
+  return blocked.length ? Math.max(...blocked.map((e) => e.resetAt - Date.now()), 1000) : 0;
+}
+
+async function recordLoginFailure(keys) {
+  const store = loginFailures();
+  for (const key of keys) {
+    const entry = (await store.get(key)) ?? { count: 0, resetAt: Date.now() + LOGIN_FAILURE_WINDOW_MS };
+    entry.count++;
+    await store.set(key, entry, { ttlMs: Math.max(entry.resetAt - Date.now(), 1000) });
+  }
+}
+
+// Returns { error } when the login form was not passed, otherwise the values
+// to bind into the authorization code.
+async function authenticate(body) {
+  if (ADMIN_PASSWORD && !safeEqual(body.password ?? "", ADMIN_PASSWORD)) {
+    return { error: "Incorrect password." };
+  }
+
+  const email = (body.email || "").trim().toLowerCase();
+  if (REQUIRES_EMAIL && (!email || !isEmailAllowed(email))) {
+    return { error: "This email is not allowed to authorize access." };
+  }
+
+  let http = sharedHttpClient();
+  let credentials;
+  if (CREDENTIALS_MODE === "per_user") {
+    const baseUrl = resolveFreshsalesBaseUrl(body.freshsales_domain);
+    const apiKey = (body.freshsales_api_key || "").trim();
+    if (!baseUrl || !apiKey) {
+      return { error: "Enter a valid Freshsales domain and API key." };
+    }
+    credentials = { apiKey, baseUrl };
+    http = createHttpClient(credentials);
+    try {
+      await http.get("/selector/owners");
+    } catch {
+      return { error: "Freshsales rejected these credentials." };
+    }
+  }
+
+  if (VERIFY_FRESHSALES_USER) {
+    let active = false;
+    try {
+      active = Boolean(http) && (await isActiveFreshsalesUser(http, email));
+    } catch {
+      return { error: "Could not verify this user with Freshsales." };
+    }
+    if (!active) return { error: "This email is not an active Freshsales user." };
+  }
+
+  return {
+    sub: email || undefined,
+    cred: credentials ? await saveUserCredentials(credentials, email) : undefined,
+  };
+}
+
+export default async function handler(req, res) {
   setCorsHeaders(res);
   if (req.method === "OPTIONS") return res.status(204).end();
 
-  const {
-    response_type,
-    client_id,
-    redirect_uri,
-    state,
-    code_challenge,
-    code_challenge_method,
-  } = req.query;
+  const params = req.method === "POST" ? { ...req.query, ...req.body } : { ...req.query };
+  const { response_type, client_id, state, code_challenge, code_challenge_method } = params;
+
+  // Client and redirect URI errors must not redirect (RFC 6749 section 4.1.2.1).
+  const client = await getClient(client_id);
+  if (!client) {
+    return res.status(400).json({ error: "invalid_client", error_description: "Unknown client_id" });
+  }
+
+  // redirect_uri may be omitted only when exactly one is registered.
+  if (!params.redirect_uri && client.redirect_uris?.length === 1) {
+    params.redirect_uri = client.redirect_uris[0];
+  }
+  const { redirect_uri } = params;
+  if (!isRegisteredRedirectUri(client, redirect_uri)) {
+    return res.status(400).json({
+      error: "invalid_request",
+      error_description: "redirect_uri does not match a registered redirect URI",
+    });
+  }
+
+  const redirectWith = (values) => {
+    const redirectUrl = new URL(redirect_uri);
+    for (const [k, v] of Object.entries(values)) redirectUrl.searchParams.set(k, v);
+    if (state) redirectUrl.searchParams.set("state", state);
+    return res.redirect(302, redirectUrl.toString());
+  };
 
   if (response_type !== "code") {
-    return res.status(400).json({ error: "unsupported_response_type" });
+    return redirectWith({ error: "unsupported_response_type" });
   }
 
-  if (!client_id || !redirect_uri || !code_challenge) {
-    return res.status(400).json({ error: "invalid_request" });
+  if (!code_challenge) {
+    return redirectWith({ error: "invalid_request", error_description: "code_challenge is required" });
+  }
+
+  const scope = resolveScope(params.scope);
+  if (!scope) {
+    return redirectWith({ error: "invalid_scope" });
+  }
+  params.scope = scope;
+
+  // Without a password or per-user API keys nothing proves who is asking.
+  if (!ADMIN_PASSWORD && CREDENTIALS_MODE !== "per_user") {
+    return res.status(500).json({
+      error: "server_error",
+      error_description: "Login is not configured: set OAUTH_ADMIN_PASSWORD",
+    });
+  }
+
+  const sendPage = (error, status = error ? 401 : 200) => {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("X-Frame-Options", "DENY");
+    res.setHeader("Content-Security-Policy", "frame-ancestors 'none'");
+    return res.status(status).send(renderAuthorizePage(params, client, error));
+  };
+
+  if (req.method !== "POST") return sendPage();
+
+  if (req.body?.decision === "deny") {
+    return redirectWith({ error: "access_denied" });
+  }
+
+  const keys = failureKeys(req, client_id);
+  const retryAfterMs = await loginRetryAfterMs(keys);
+  if (retryAfterMs) {
+    res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return sendPage("Too many failed attempts. Try again later.", 429);
+  }
+
+  const result = await authenticate(req.body ?? {});
+  if (result.error) {
+    await recordLoginFailure(keys);
+    return sendPage(result.error);
   }
 
   const code = createAuthCode({
@@ -26,11 +300,10 @@ export default function handler(req, res) {
     code_challenge,
     code_challenge_method: code_challenge_method || "S256",
     redirect_uri,
+    scope,
+    sub: result.sub,
+    cred: result.cred,
   });
 
-  const redirectUrl = new URL(redirect_uri);
-  redirectUrl.searchParams.set("code", code);
-  if (state) redirectUrl.searchParams.set("state", state);
-
-  res.redirect(302, redirectUrl.toString());
+  redirectWith({ code });
 }
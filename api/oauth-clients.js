@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import { getStore } from "./kv-store.js";
+import { revokeClientTokens } from "./oauth-utils.js";
+
+const clientStore = () => getStore("clients");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const isLoopbackHost = (host) => host === "localhost" || host === "127.0.0.1" || host === "[::1]";
+
+/**
+ * Checks registered redirect URIs per RFC 7591 / RFC 8252: absolute, no
+ * fragment, and https unless it is a loopback or private-use (native app)
+ * scheme. Returns an error message or null.
+ */
+export function validateRedirectUris(redirectUris) {
+  if (!Array.isArray(redirectUris) || !redirectUris.length) {
+    return "redirect_uris must be a non-empty array";
+  }
+  for (const uri of redirectUris) {
+    let url;
+    try {
+      url = new URL(uri);
+    } catch {
+      return `Invalid redirect URI: ${uri}`;
+    }
+    if (url.hash) return `Redirect URI must not contain a fragment: ${uri}`;
+    if (url.protocol === "http:" && !isLoopbackHost(url.hostname)) {
+      return `Redirect URI must use https: ${uri}`;
+    }
+    if (url.protocol === "javascript:" || url.protocol === "data:") {
+      return `Unsupported redirect URI scheme: ${uri}`;
+    }
+  }
+  return null;
+}
+
+export async function registerClient(metadata) {
+  const client_id = crypto.randomUUID();
+  const registration_access_token = crypto.randomBytes(32).toString("base64url");
+  const client = {
+    ...metadata,
+    client_id,
+    client_id_issued_at: Math.floor(Date.now() / 1000),
+  };
+  await clientStore().set(client_id, {
+    ...client,
+    registration_access_token_hash: hashToken(registration_access_token),
+  });
+  return { client, registration_access_token };
+}
+
+// Returns the public client metadata, without the management token hash.
+export async function getClient(clientId) {
+  if (!clientId) return null;
+  const record = await clientStore().get(clientId);
+  if (!record) return null;
+  const { registration_access_token_hash, ...client } = record;
+  return client;
+}
+
+// Tokens already issued to the client stop working with it.
+export async function deleteClient(clientId) {
+  await revokeClientTokens(clientId);
+  await clientStore().delete(clientId);
+}
+
+export async function verifyRegistrationToken(clientId, token) {
+  if (!clientId || !token) return false;
+  const record = await clientStore().get(clientId);
+  if (!record?.registration_access_token_hash) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(record.registration_access_token_hash),
+    Buffer.from(hashToken(token)),
+  );
+}
+
+// Redirect URIs are compared by exact string match (RFC 6749 section 3.1.2.3).
+export const isRegisteredRedirectUri = (client, redirectUri) =>
+  Boolean(client?.redirect_uris?.includes(redirectUri));
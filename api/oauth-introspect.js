@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import { setCorsHeaders, verifyToken } from "./oauth-utils.js";
+
+// Resource servers authenticate with OAUTH_INTROSPECTION_TOKEN as a Bearer
+// token; public clients may only introspect tokens issued to their client_id.
+const INTROSPECTION_TOKEN = process.env.OAUTH_INTROSPECTION_TOKEN || "";
+
+const TOKEN_TYPES = { access: "access_token", refresh: "refresh_token" };
+
+const isResourceServer = (req) => {
+  const auth = req.headers.authorization || "";
+  if (!INTROSPECTION_TOKEN || !auth.startsWith("Bearer ")) return false;
+  const given = crypto.createHash("sha256").update(auth.slice(7)).digest();
+  const expected = crypto.createHash("sha256").update(INTROSPECTION_TOKEN).digest();
+  return crypto.timingSafeEqual(given, expected);
+};
+
+// RFC 7662 token introspection.
+export default async function handler(req, res) {
+  setCorsHeaders(res);
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "method_not_allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  const { token, client_id } = req.body ?? {};
+
+  if (!token) {
+    return res.status(400).json({ error: "invalid_request" });
+  }
+
+  const trusted = isResourceServer(req);
+  if (!trusted && !client_id) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const payload = await verifyToken(token);
+  if (!payload || !TOKEN_TYPES[payload.t] || (!trusted && payload.client_id !== client_id)) {
+    return res.json({ active: false });
+  }
+
+  res.json({
+    active: true,
+    client_id: payload.client_id,
+    scope: payload.scope,
+    sub: payload.sub,
+    token_type: TOKEN_TYPES[payload.t],
+    jti: payload.jti,
+    iat: payload.iat,
+    exp: payload.exp,
+  });
+}
@@ -0,0 +1,9 @@
+import { getJwks, setCorsHeaders } from "./oauth-utils.js";
+
+export default function handler(req, res) {
+  setCorsHeaders(res);
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+}
@@ -1,19 +1,26 @@
-import { setCorsHeaders } from "./oauth-utils.js";
+import { TOOL_SCOPES } from "../tool-scopes.js";
+import { getIssuer, setCorsHeaders } from "./oauth-utils.js";
 
 export default function handler(req, res) {
   setCorsHeaders(res);
   if (req.method === "OPTIONS") return res.status(204).end();
 
-  const host = `https://${req.headers.host}`;
+  const host = getIssuer(req);
 
   res.json({
     issuer: host,
     authorization_endpoint: `${host}/oauth/authorize`,
     token_endpoint: `${host}/oauth/token`,
     registration_endpoint: `${host}/oauth/register`,
+    jwks_uri: `${host}/.well-known/jwks.json`,
+    revocation_endpoint: `${host}/oauth/revoke`,
+    introspection_endpoint: `${host}/oauth/introspect`,
+    scopes_supported: TOOL_SCOPES,
     response_types_supported: ["code"],
-    grant_types_supported: ["authorization_code"],
+    grant_types_supported: ["authorization_code", "refresh_token"],
     code_challenge_methods_supported: ["S256"],
     token_endpoint_auth_methods_supported: ["none"],
+    revocation_endpoint_auth_methods_supported: ["none"],
+    introspection_endpoint_auth_methods_supported: ["none"],
   });
 }
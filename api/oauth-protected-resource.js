@@ -1,14 +1,16 @@
-import { setCorsHeaders } from "./oauth-utils.js";
+import { TOOL_SCOPES } from "../tool-scopes.js";
+import { getIssuer, setCorsHeaders } from "./oauth-utils.js";
 
 export default function handler(req, res) {
   setCorsHeaders(res);
   if (req.method === "OPTIONS") return res.status(204).end();
 
-  const host = `https://${req.headers.host}`;
+  const host = getIssuer(req);
 
   res.json({
     resource: host,
     authorization_servers: [host],
+    scopes_supported: TOOL_SCOPES,
     bearer_methods_supported: ["header"],
   });
 }
@@ -1,22 +1,87 @@
-import crypto from "crypto";
-import { setCorsHeaders } from "./oauth-utils.js";
+import {
+  deleteClient,
+  getClient,
+  registerClient,
+  validateRedirectUris,
+  verifyRegistrationToken,
+} from "./oauth-clients.js";
+import { getIssuer, setCorsHeaders } from "./oauth-utils.js";
 
-export default function handler(req, res) {
+const SUPPORTED_GRANT_TYPES = ["authorization_code", "refresh_token"];
+
+const clientResponse = (req, client) => ({
+  ...client,
+  registration_client_uri: `${getIssuer(req)}/oauth/register?client_id=${encodeURIComponent(client.client_id)}`,
+});
+
+// RFC 7592 client configuration endpoint: GET reads, DELETE unregisters.
+async function handleManagement(req, res) {
+  const clientId = req.query.client_id;
+  const auth = req.headers.authorization || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+
+  if (!(await verifyRegistrationToken(clientId, token))) {
+    res.setHeader("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: "invalid_token" });
+  }
+
+  if (req.method === "DELETE") {
+    await deleteClient(clientId);
+    return res.status(204).end();
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.json(clientResponse(req, await getClient(clientId)));
+}
+
+export default async function handler(req, res) {
   setCorsHeaders(res);
   if (req.method === "OPTIONS") return res.status(204).end();
 
+  if ((req.method === "GET" || req.method === "DELETE") && req.query.client_id) {
+    return handleManagement(req, res);
+  }
+
   if (req.method !== "POST") {
     return res.status(405).json({ error: "method_not_allowed" });
   }
 
-  const { client_name, redirect_uris, grant_types, response_types } = req.body;
+  const { client_name, redirect_uris, grant_types, response_types } = req.body ?? {};
 
-  res.status(201).json({
-    client_id: crypto.randomUUID(),
+  const redirectError = validateRedirectUris(redirect_uris);
+  if (redirectError) {
+    return res.status(400).json({
+      error: "invalid_redirect_uri",
+      error_description: redirectError,
+    });
+  }
+
+  const grants = grant_types ?? SUPPORTED_GRANT_TYPES;
+  if (!Array.isArray(grants) || !grants.every((g) => typeof g === "string")) {
+    return res.status(400).json({
+      error: "invalid_client_metadata",
+      error_description: "grant_types must be an array of strings",
+    });
+  }
+  const unsupported = grants.filter((g) => !SUPPORTED_GRANT_TYPES.includes(g));
+  if (unsupported.length) {
+    return res.status(400).json({
+      error: "invalid_client_metadata",
+      error_description: `Unsupported grant_types: ${unsupported.join(", ")}`,
+    });
+  }
+
+  const { client, registration_access_token } = await registerClient({
     client_name: client_name || "MCP Client",
-    redirect_uris: redirect_uris || [],
-    grant_types: grant_types || ["authorization_code"],
+    redirect_uris,
+    grant_types: grants,
     response_types: response_types || ["code"],
     token_endpoint_auth_method: "none",
   });
+
+  res.setHeader("Cache-Control", "no-store");
+  res.status(201).json({
+    ...clientResponse(req, client),
+    registration_access_token,
+  });
 }
@@ -0,0 +1,28 @@
+import { revokeFamily, revokeToken, setCorsHeaders, verifyToken } from "./oauth-utils.js";
+
+// RFC 7009 token revocation. Public clients identify themselves with
+// client_id; unknown or foreign tokens are ignored with a 200 so the
+// endpoint cannot be used to probe tokens.
+export default async function handler(req, res) {
+  setCorsHeaders(res);
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "method_not_allowed" });
+  }
+
+  const { token, client_id } = req.body ?? {};
+
+  if (!token || !client_id) {
+    return res.status(400).json({ error: "invalid_request" });
+  }
+
+  const payload = await verifyToken(token);
+  if (payload && payload.client_id === client_id) {
+    // Revoking a refresh token ends the grant, including its access tokens.
+    if (payload.t === "refresh") await revokeFamily(payload.fam);
+    await revokeToken(payload);
+  }
+
+  res.status(200).end();
+}
@@ -1,30 +1,65 @@
 import crypto from "crypto";
-import { createAccessToken, setCorsHeaders, verifyAuthCode } from "./oauth-utils.js";
+import { getClient, isRegisteredRedirectUri } from "./oauth-clients.js";
+import {
+  ACCESS_TOKEN_TTL,
+  createAccessToken,
+  createRefreshToken,
+  isRevoked,
+  parseScope,
+  revokeFamily,
+  revokeToken,
+  setCorsHeaders,
+  verifyAuthCode,
+  verifyRefreshToken,
+} from "./oauth-utils.js";
 
-export default function handler(req, res) {
-  setCorsHeaders(res);
-  if (req.method === "OPTIONS") return res.status(204).end();
-
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "method_not_allowed" });
+function issueTokens(client, { scope, sub, cred, fam }) {
+  const grant = { client_id: client.client_id, scope, sub, cred, fam };
+  const body = {
+    access_token: createAccessToken(grant),
+    token_type: "Bearer",
+    expires_in: ACCESS_TOKEN_TTL,
+    scope,
+  };
+  if (client.grant_types?.includes("refresh_token")) {
+    body.refresh_token = createRefreshToken(grant);
   }
+  return body;
+}
 
-  const { grant_type, code, redirect_uri, client_id, code_verifier } =
-    req.body;
-
-  if (grant_type !== "authorization_code") {
-    return res.status(400).json({ error: "unsupported_grant_type" });
-  }
+async function handleAuthorizationCode(req, res, client) {
+  const { code, redirect_uri, client_id, code_verifier } = req.body;
 
-  if (!code || !code_verifier || !client_id) {
+  if (!code || !code_verifier) {
     return res.status(400).json({ error: "invalid_request" });
   }
 
   const payload = verifyAuthCode(code);
-  if (!payload) {
+  if (!payload || payload.client_id !== client_id) {
     return res.status(400).json({ error: "invalid_grant" });
   }
 
+  // Codes are single use; a replayed code also kills what it already issued.
+  if (await isRevoked(payload)) {
+    await revokeFamily(payload.jti);
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  // The redirect_uri must repeat the one used at /oauth/authorize exactly
+  // (RFC 6749 section 4.1.3); like there, it defaults to the only one
+  // registered.
+  const requestedRedirectUri =
+    redirect_uri ?? (client.redirect_uris?.length === 1 ? client.redirect_uris[0] : undefined);
+  if (
+    requestedRedirectUri !== payload.redirect_uri ||
+    !isRegisteredRedirectUri(client, requestedRedirectUri)
+  ) {
+    return res.status(400).json({
+      error: "invalid_grant",
+      error_description: "redirect_uri does not match the authorization request",
+    });
+  }
+
   // Verify PKCE: SHA-256(code_verifier) must match code_challenge
   const computed = crypto
     .createHash("sha256")
@@ -38,11 +73,82 @@ export default function handler(req, res) {
     });
   }
 
-  const access_token = createAccessToken({ client_id });
+  await revokeToken(payload);
 
-  res.json({
-    access_token,
-    token_type: "Bearer",
-    expires_in: 604800,
-  });
+  // The code's jti doubles as the token family id.
+  res.json(
+    issueTokens(client, {
+      scope: payload.scope,
+      sub: payload.sub,
+      cred: payload.cred,
+      fam: payload.jti,
+    }),
+  );
+}
+
+async function handleRefreshToken(req, res, client) {
+  const { refresh_token, client_id } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: "invalid_request" });
+  }
+
+  if (!client.grant_types?.includes("refresh_token")) {
+    return res.status(400).json({ error: "unauthorized_client" });
+  }
+
+  const payload = verifyRefreshToken(refresh_token);
+  if (!payload || payload.client_id !== client_id) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  // Refresh tokens rotate on every use; presenting a rotated one means it
+  // leaked, so the whole grant is revoked.
+  if (await isRevoked(payload)) {
+    await revokeFamily(payload.fam);
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  // A refresh may narrow the grant but never widen it (RFC 6749 section 6).
+  let { scope } = payload;
+  if (req.body.scope) {
+    const granted = parseScope(payload.scope);
+    const requested = parseScope(req.body.scope);
+    if (!requested.every((s) => granted.includes(s))) {
+      return res.status(400).json({ error: "invalid_scope" });
+    }
+    scope = requested.join(" ");
+  }
+
+  await revokeToken(payload);
+  res.json(issueTokens(client, { ...payload, scope }));
+}
+
+export default async function handler(req, res) {
+  setCorsHeaders(res);
+  if (req.method === "OPTIONS") return res.status(204).end();
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "method_not_allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  const { grant_type, client_id } = req.body ?? {};
+
+  if (grant_type !== "authorization_code" && grant_type !== "refresh_token") {
+    return res.status(400).json({ error: "unsupported_grant_type" });
+  }
+
+  if (!client_id) {
+    return res.status(400).json({ error: "invalid_request" });
+  }
+
+  const client = await getClient(client_id);
+  if (!client) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  if (grant_type === "refresh_token") return handleRefreshToken(req, res, client);
+  return handleAuthorizationCode(req, res, client);
 }
@@ -1,35 +1,99 @@
 import crypto from "crypto";
+import { TOOL_SCOPES } from "../tool-scopes.js";
+import { getStore } from "./kv-store.js";
 
-const SIGNING_KEY = crypto
-  .createHash("sha256")
-  .update(process.env.FRESHSALES_API_KEY || "mcp-oauth-default-key")
-  .digest();
+// ---------------------------------------------------------------------------
+// Signing keys
+// ---------------------------------------------------------------------------
 
+// OAUTH_SIGNING_SECRET is a single HS256 secret. OAUTH_SIGNING_KEYS is a JSON
+// array of { kid, secret } (HS256) or { kid, private_key } (EC P-256 PEM,
+// ES256) entries: the first one signs new tokens and the rest stay valid for
+// verification, so keys can be rotated by prepending a new entry and dropping
+// the old one once its tokens have expired.
+function loadSigningKeys() {
+  let entries = [];
+  if (process.env.OAUTH_SIGNING_KEYS) {
+    entries = JSON.parse(process.env.OAUTH_SIGNING_KEYS);
+  } else if (process.env.OAUTH_SIGNING_SECRET) {
+    entries = [{ secret: process.env.OAUTH_SIGNING_SECRET }];
+  }
+
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error(
+      "Missing token signing key: set OAUTH_SIGNING_SECRET or OAUTH_SIGNING_KEYS",
+    );
+  }
+
+  const keys = entries.map((entry) => {
+    if (entry.private_key) {
+      const privateKey = crypto.createPrivateKey(entry.private_key);
+      if (privateKey.asymmetricKeyDetails?.namedCurve !== "prime256v1") {
+        throw new Error("OAUTH_SIGNING_KEYS private keys must be EC P-256 (ES256)");
+      }
+      const publicKey = crypto.createPublicKey(privateKey);
+      const kid =
+        entry.kid ||
+        crypto.createHash("sha256").update(publicKey.export({ type: "spki", format: "der" })).digest("base64url").slice(0, 16);
+      return { kid, alg: "ES256", privateKey, publicKey };
+    }
+
+    if (typeof entry.secret !== "string" || entry.secret.length < 32) {
+      throw new Error("Token signing secrets must be at least 32 characters long");
+    }
+    const kid = entry.kid || crypto.createHash("sha256").update(entry.secret).digest("base64url").slice(0, 16);
+    return { kid, alg: "HS256", secret: Buffer.from(entry.secret) };
+  });
+
+  if (new Set(keys.map((k) => k.kid)).size !== keys.length) {
+    throw new Error("OAUTH_SIGNING_KEYS contains duplicate kid values");
+  }
+  return keys;
+}
+
+const SIGNING_KEYS = loadSigningKeys();
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString());
+
+function signature(key, data) {
+  if (key.alg === "ES256") {
+    return crypto.sign("sha256", Buffer.from(data), { key: key.privateKey, dsaEncoding: "ieee-p1363" });
+  }
+  return crypto.createHmac("sha256", key.secret).update(data).digest();
+}
+
+function isValidSignature(key, data, sig) {
+  if (key.alg === "ES256") {
+    return crypto.verify("sha256", Buffer.from(data), { key: key.publicKey, dsaEncoding: "ieee-p1363" }, sig);
+  }
+  const expected = signature(key, data);
+  return sig.length === expected.length && crypto.timingSafeEqual(sig, expected);
+}
+
+// Tokens are compact JWTs; exp and iat are in seconds.
 function sign(payload) {
-  const data = JSON.stringify(payload);
-  const hmac = crypto
-    .createHmac("sha256", SIGNING_KEY)
-    .update(data)
-    .digest("hex");
-  return Buffer.from(JSON.stringify({ d: data, h: hmac })).toString(
-    "base64url",
-  );
+  const [key] = SIGNING_KEYS;
+  const data = `${encodeSegment({ alg: key.alg, typ: "JWT", kid: key.kid })}.${encodeSegment(payload)}`;
+  return `${data}.${signature(key, data).toString("base64url")}`;
 }
 
 function verify(token) {
   try {
-    const { d: data, h: hmac } = JSON.parse(
-      Buffer.from(token, "base64url").toString(),
-    );
-    const expected = crypto
-      .createHmac("sha256", SIGNING_KEY)
-      .update(data)
-      .digest("hex");
-    if (!crypto.timingSafeEqual(Buffer.from(hmac), Buffer.from(expected))) {
+    const [header, body, sig] = String(token).split(".");
+    if (!header || !body || !sig) return null;
+    const { alg, kid } = decodeSegment(header);
+    // The algorithm is pinned by the key, never taken from the token alone.
+    const key = SIGNING_KEYS.find((k) => k.kid === kid);
+    if (!key || key.alg !== alg) return null;
+    if (!isValidSignature(key, `${header}.${body}`, Buffer.from(sig, "base64url"))) {
       return null;
     }
-    const payload = JSON.parse(data);
-    if (payload.exp && Date.now() > payload.exp) {
+    const payload = decodeSegment(body);
+    if (payload.exp && nowSeconds() > payload.exp) {
       return null;
     }
     return payload;
@@ -38,19 +102,60 @@ function verify(token) {
   }
 }
 
+// Public keys for asymmetric (ES256) signing keys; HS256 secrets are never
+// published.
+export function getJwks() {
+  return {
+    keys: SIGNING_KEYS.filter((k) => k.publicKey).map((k) => ({
+      ...k.publicKey.export({ format: "jwk" }),
+      kid: k.kid,
+      alg: k.alg,
+      use: "sig",
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Scopes
+// ---------------------------------------------------------------------------
+
+// Granted when a client does not ask for specific scopes; delete access has to
+// be requested explicitly.
+export const DEFAULT_SCOPE = process.env.OAUTH_DEFAULT_SCOPE || "crm:read crm:write";
+
+export const parseScope = (scope) => [...new Set(String(scope || "").split(" ").filter(Boolean))];
+
+// Returns the normalised scope string, or null if any scope is unsupported.
+export function resolveScope(requested) {
+  const scopes = parseScope(requested || DEFAULT_SCOPE);
+  if (!scopes.length || !scopes.every((s) => TOOL_SCOPES.includes(s))) return null;
+  return scopes.join(" ");
+}
+
+// ---------------------------------------------------------------------------
+// Tokens
+// ---------------------------------------------------------------------------
+
 export function createAuthCode({
   client_id,
   code_challenge,
   code_challenge_method,
   redirect_uri,
+  scope,
+  sub,
+  cred,
 }) {
   return sign({
     t: "code",
+    jti: crypto.randomUUID(),
     client_id,
     code_challenge,
     code_challenge_method,
     redirect_uri,
-    exp: Date.now() + 5 * 60 * 1000,
+    scope,
+    sub,
+    cred,
+    exp: nowSeconds() + 5 * 60,
   });
 }
 
@@ -59,19 +164,106 @@ export function verifyAuthCode(code) {
   return payload?.t === "code" ? payload : null;
 }
 
-export function createAccessToken({ client_id }) {
+// Lifetimes in seconds.
+export const ACCESS_TOKEN_TTL = Number(process.env.OAUTH_ACCESS_TOKEN_TTL) || 60 * 60;
+export const REFRESH_TOKEN_TTL =
+  Number(process.env.OAUTH_REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+
+// `sub` is the email that passed the login gate (if one was asked for),
+// `cred` references the caller's stored Freshsales credentials (per-user mode)
+// and `fam` groups every token issued from one authorization so the whole
+// grant can be revoked at once.
+export function createAccessToken({ client_id, scope, sub, cred, fam }) {
   return sign({
     t: "access",
+    jti: crypto.randomUUID(),
     client_id,
-    exp: Date.now() + 7 * 24 * 60 * 60 * 1000,
+    scope,
+    sub,
+    cred,
+    fam,
+    iat: nowSeconds(),
+    exp: nowSeconds() + ACCESS_TOKEN_TTL,
   });
 }
 
-export function verifyAccessToken(token) {
+export function createRefreshToken({ client_id, scope, sub, cred, fam }) {
+  return sign({
+    t: "refresh",
+    jti: crypto.randomUUID(),
+    client_id,
+    scope,
+    sub,
+    cred,
+    fam,
+    iat: nowSeconds(),
+    exp: nowSeconds() + REFRESH_TOKEN_TTL,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Revocation list
+// ---------------------------------------------------------------------------
+
+const revocations = () => getStore("revocations");
+
+// Entries only need to outlive the token they block.
+const remainingMs = (payload) => Math.max(payload.exp * 1000 - Date.now(), 1000);
+
+export async function isRevoked(payload) {
+  const store = revocations();
+  if (payload.jti && (await store.get(`jti:${payload.jti}`))) return true;
+  if (payload.fam && (await store.get(`fam:${payload.fam}`))) return true;
+  if (payload.client_id && (await store.get(`client:${payload.client_id}`))) return true;
+  return false;
+}
+
+export async function revokeToken(payload) {
+  if (payload.jti) {
+    await revocations().set(`jti:${payload.jti}`, true, { ttlMs: remainingMs(payload) });
+  }
+}
+
+export async function revokeFamily(fam) {
+  if (fam) {
+    await revocations().set(`fam:${fam}`, true, { ttlMs: REFRESH_TOKEN_TTL * 1000 });
+  }
+}
+
+// Blocks every token issued to a client, e.g. once it is unregistered.
+export async function revokeClientTokens(clientId) {
+  if (clientId) {
+    await revocations().set(`client:${clientId}`, true, { ttlMs: REFRESH_TOKEN_TTL * 1000 });
+  }
+}
+
+// Verifies signature, expiry and revocation for any token type; used by the
+// introspection and revocation endpoints.
+export async function verifyToken(token) {
   const payload = verify(token);
+  if (!payload || (await isRevoked(payload))) return null;
+  return payload;
+}
+
+export async function verifyAccessToken(token) {
+  const payload = await verifyToken(token);
   return payload?.t === "access" ? payload : null;
 }
 
+// Revocation is left to the token endpoint so that reuse of an already
+// rotated refresh token can be detected.
+export function verifyRefreshToken(token) {
+  const payload = verify(token);
+  return payload?.t === "refresh" ? payload : null;
+}
+
+// PUBLIC_BASE_URL overrides the Host-derived origin, e.g. when self-hosting
+// behind a proxy or on plain http.
+export function getIssuer(req) {
+  const configured = (process.env.PUBLIC_BASE_URL || "").trim().replace(/\/$/, "");
+  return configured || `https://${req.headers.host}`;
+}
+
 export function setCorsHeaders(res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
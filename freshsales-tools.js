@@ -1,6 +1,15 @@
 import axios from "axios";
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import dns from "node:dns";
 import fs from "node:fs/promises";
+import https from "node:https";
+import { BlockList, isIP } from "node:net";
 import path from "node:path";
+import { z } from "zod/v4";
+import { getToolScope, isToolAllowed } from "./tool-scopes.js";
+
+export { getToolScope, isToolAllowed, TOOL_SCOPES } from "./tool-scopes.js";
 
 // ---------------------------------------------------------------------------
 // URL / HTTP helpers
@@ -19,14 +28,306 @@ export const ensureApiBasePath = (value = "") => {
   return `${value}/crm/sales/api`;
 };
 
-export const createHttpClient = ({ apiKey, baseUrl }) =>
-  axios.create({
+// ---------------------------------------------------------------------------
+// Rate limiting / retries
+// ---------------------------------------------------------------------------
+
+const MAX_RETRIES = Number(process.env.FRESHSALES_MAX_RETRIES ?? 3);
+const MAX_CONCURRENCY = Number(process.env.FRESHSALES_MAX_CONCURRENCY) || 4;
+// A 429 asking us to wait longer than this fails fast instead of blocking.
+const MAX_RETRY_WAIT_MS = Number(process.env.FRESHSALES_MAX_RETRY_WAIT_MS) || 30 * 1000;
+const RETRY_BASE_DELAY_MS = 500;
+// Pause after the quota runs out when Freshsales gives no reset time.
+const QUOTA_EXHAUSTED_PAUSE_MS = 60 * 1000;
+
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "ECONNREFUSED"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter.
+const backoffMs = (attempt) => Math.round(Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt);
+
+const retryAfterMs = (headers = {}) => {
+  const value = headers["retry-after"];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// x-ratelimit-reset is either seconds until the window reopens or an epoch
+// timestamp in seconds.
+const rateLimitResetMs = (headers = {}) => {
+  const reset = Number(headers["x-ratelimit-reset"]);
+  if (!Number.isFinite(reset) || reset <= 0) return null;
+  return reset > 1e9 ? Math.max(reset * 1000 - Date.now(), 0) : reset * 1000;
+};
+
+// Throttling and cache stats for the tool call currently running (see runTool).
+const callStats = new AsyncLocalStorage();
+
+const recordThrottle = (changes) => {
+  const stats = callStats.getStore()?.throttling;
+  if (!stats) return;
+  stats.waited_ms += changes.waited_ms ?? 0;
+  stats.retries += changes.retries ?? 0;
+  if (isDefined(changes.rate_limit_remaining)) stats.rate_limit_remaining = changes.rate_limit_remaining;
+};
+
+// Identifies the Freshsales account + API key behind a client, so state can
+// be shared by every client built for the same credential.
+const credentialKey = (apiKey, baseUrl) =>
+  crypto.createHash("sha256").update(`${baseUrl}|${apiKey}`).digest("hex");
+
+const clientKeys = new WeakMap();
+
+// One limiter per credential, so per-request clients in HTTP mode still
+// respect the same caps.
+const limiters = new Map();
+
+const getLimiter = (key) => {
+  if (!limiters.has(key)) limiters.set(key, { active: 0, queue: [], pausedUntil: 0 });
+  return limiters.get(key);
+};
+
+const acquireSlot = async (limiter) => {
+  if (limiter.active < MAX_CONCURRENCY) {
+    limiter.active++;
+    return;
+  }
+  await new Promise((resolve) => limiter.queue.push(resolve));
+};
+
+const releaseSlot = (limiter) => {
+  const next = limiter.queue.shift();
+  if (next) next();
+  else limiter.active--;
+};
+
+// While Freshsales has asked for a longer pause than we are willing to wait,
+// requests fail straight away instead of queueing behind it.
+function checkPause(limiter) {
+  const wait = limiter.pausedUntil - Date.now();
+  if (wait <= MAX_RETRY_WAIT_MS) return;
+  const error = new Error(`Freshsales rate limit reached; retry in ${Math.ceil(wait / 1000)}s`);
+  error.code = "rate_limited";
+  error.retry_after_ms = wait;
+  throw error;
+}
+
+function getRetryDelay(error, attempt, limiter) {
+  const { config, response } = error;
+  if (attempt >= MAX_RETRIES) return null;
+
+  // A 429 was not processed, so any method may be retried once the window
+  // reopens; the wait itself happens in the request interceptor.
+  if (response?.status === 429) {
+    const after = retryAfterMs(response.headers) ?? backoffMs(attempt + 1);
+    limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + after);
+    return after <= MAX_RETRY_WAIT_MS ? 0 : null;
+  }
+
+  if (!IDEMPOTENT_METHODS.includes(config.method)) return null;
+  const retryable = response
+    ? RETRYABLE_STATUSES.includes(response.status)
+    : RETRYABLE_ERROR_CODES.includes(error.code);
+  return retryable ? backoffMs(attempt + 1) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Metadata cache
+// ---------------------------------------------------------------------------
+
+// TTL env vars take milliseconds; 0 turns caching off for that kind.
+const ttlFromEnv = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === "" ? fallback : Number(value);
+};
+
+const FIELD_SETTINGS_TTL_MS = ttlFromEnv("FRESHSALES_FIELD_SETTINGS_TTL_MS", 60 * 60 * 1000);
+
+// Read-only endpoints that change rarely and are hit on most tool calls.
+const METADATA_ENDPOINTS = [
+  {
+    kind: "selectors",
+    pattern: /^\/selector\//,
+    ttlMs: ttlFromEnv("FRESHSALES_SELECTOR_TTL_MS", 60 * 60 * 1000),
+  },
+  { kind: "fields", pattern: /^\/settings\/\w+\/fields$/, ttlMs: FIELD_SETTINGS_TTL_MS },
+  { kind: "modules", pattern: /^\/settings\/module_customizations$/, ttlMs: FIELD_SETTINGS_TTL_MS },
+  { kind: "users", pattern: /^\/users$/, ttlMs: ttlFromEnv("FRESHSALES_USERS_TTL_MS", 15 * 60 * 1000) },
+  {
+    kind: "filters",
+    pattern: /^\/(contacts|sales_accounts|deals|custom_module\/\w+)\/filters$/,
+    ttlMs: ttlFromEnv("FRESHSALES_FILTERS_TTL_MS", 60 * 60 * 1000),
+  },
+];
+
+const METADATA_KINDS = METADATA_ENDPOINTS.map((e) => e.kind);
+
+// credential key -> Map(request key -> { kind, response, expiresAt })
+const metadataCache = new Map();
+// Entries per credential; paged or filtered requests each add one.
+const MAX_METADATA_ENTRIES = 500;
+
+const metadataEndpointFor = (config) =>
+  (config.method ?? "get") === "get"
+    ? METADATA_ENDPOINTS.find((e) => e.ttlMs > 0 && e.pattern.test(config.url))
+    : undefined;
+
+const metadataRequestKey = (config) => {
+  const query = new URLSearchParams(config.params ?? {}).toString();
+  return query ? `${config.url}?${query}` : config.url;
+};
+
+const recordCache = (outcome, config) => {
+  callStats.getStore()?.cache[outcome].push(metadataRequestKey(config));
+};
+
+function getCachedResponse(key, config) {
+  const cache = metadataCache.get(key);
+  const requestKey = metadataRequestKey(config);
+  const entry = cache?.get(requestKey);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(requestKey);
+    return null;
+  }
+  // Callers may mutate what they get back, so every hit is a fresh copy.
+  return { ...entry.response, data: structuredClone(entry.response.data), config, request: null };
+}
+
+function cacheResponse(key, response) {
+  const endpoint = metadataEndpointFor(response.config);
+  if (!endpoint) return;
+  if (!metadataCache.has(key)) metadataCache.set(key, new Map());
+  const cache = metadataCache.get(key);
+  const requestKey = metadataRequestKey(response.config);
+  // Re-inserted keys move to the end, so the first entries are the oldest.
+  cache.delete(requestKey);
+  if (cache.size >= MAX_METADATA_ENTRIES) {
+    const now = Date.now();
+    for (const [k, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(k);
+    }
+    while (cache.size >= MAX_METADATA_ENTRIES) cache.delete(cache.keys().next().value);
+  }
+  cache.set(requestKey, {
+    kind: endpoint.kind,
+    expiresAt: Date.now() + endpoint.ttlMs,
+    response: {
+      data: response.data,
+      status: response.status,
+      statusText: response.statusText,
+      headers: { ...response.headers },
+    },
+  });
+}
+
+/**
+ * Drops cached metadata for the credential behind `http`, either one kind
+ * (see METADATA_KINDS) or everything. Returns how many entries were removed.
+ */
+function clearMetadataCache(http, kind = "all") {
+  const cache = metadataCache.get(clientKeys.get(http));
+  if (!cache) return 0;
+  let cleared = 0;
+  for (const [requestKey, entry] of cache) {
+    if (kind === "all" || entry.kind === kind) {
+      cache.delete(requestKey);
+      cleared++;
+    }
+  }
+  return cleared;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP client
+// ---------------------------------------------------------------------------
+
+export const createHttpClient = ({ apiKey, baseUrl }) => {
+  const http = axios.create({
     baseURL: baseUrl,
     headers: {
       Authorization: `Token token=${apiKey}`,
       "Content-Type": "application/json",
     },
   });
+  const key = credentialKey(apiKey, baseUrl);
+  const limiter = getLimiter(key);
+  clientKeys.set(http, key);
+
+  http.interceptors.request.use(async (config) => {
+    // fsSkipCache forces a fresh read; the response still refreshes the cache.
+    if (metadataEndpointFor(config) && !config.fsAttempt && !config.fsSkipCache) {
+      const cached = getCachedResponse(key, config);
+      recordCache(cached ? "hits" : "misses", config);
+      if (cached) {
+        config.adapter = async () => cached;
+        return config;
+      }
+    }
+
+    checkPause(limiter);
+    await acquireSlot(limiter);
+    try {
+      checkPause(limiter);
+    } catch (error) {
+      releaseSlot(limiter);
+      throw error;
+    }
+    config.fsHoldsSlot = true;
+    const wait = limiter.pausedUntil - Date.now();
+    if (wait > 0) {
+      recordThrottle({ waited_ms: wait });
+      await sleep(wait);
+    }
+    return config;
+  });
+
+  const release = (config) => {
+    if (!config?.fsHoldsSlot) return;
+    config.fsHoldsSlot = false;
+    releaseSlot(limiter);
+  };
+
+  http.interceptors.response.use(
+    (response) => {
+      if (!response.config.fsHoldsSlot) return response; // served from the metadata cache
+      release(response.config);
+      cacheResponse(key, response);
+      const remaining = Number(response.headers["x-ratelimit-remaining"]);
+      if (Number.isFinite(remaining)) recordThrottle({ rate_limit_remaining: remaining });
+      // With the quota spent, later requests wait (or fail fast) instead of
+      // running into a 429.
+      if (remaining === 0) {
+        const pause =
+          retryAfterMs(response.headers) ?? rateLimitResetMs(response.headers) ?? QUOTA_EXHAUSTED_PAUSE_MS;
+        limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + pause);
+      }
+      return response;
+    },
+    async (error) => {
+      const { config } = error;
+      release(config);
+      if (!config) throw error;
+
+      const attempt = config.fsAttempt ?? 0;
+      const delay = getRetryDelay(error, attempt, limiter);
+      if (delay === null) throw error;
+
+      recordThrottle({ retries: 1, waited_ms: delay });
+      if (delay) await sleep(delay);
+      config.fsAttempt = attempt + 1;
+      return http.request(config);
+    },
+  );
+
+  return http;
+};
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -49,6 +350,13 @@ const MODULE_TYPE_MAP = {
   sales_activities: "SalesActivity",
 };
 
+// FRESHSALES_DEBUG=true adds per-call diagnostics (metadata cache hits) to
+// tool results.
+const DEBUG = process.env.FRESHSALES_DEBUG === "true";
+
+// Record type -> API collection (also the response key for lists of them).
+const RECORD_COLLECTIONS = { contact: "contacts", sales_account: "sales_accounts", deal: "deals" };
+
 // Maps search_by / f parameter for lookup endpoint
 const LOOKUP_FIELD_MAP = {
   email: "email",
@@ -66,6 +374,29 @@ const LOOKUP_FIELD_MAP = {
 
 const isDefined = (v) => v !== undefined && v !== null;
 
+const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// The candidate closest to `value`, if it is close enough to be a typo.
+const closestMatch = (value, candidates) => {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(value, candidate);
+    if (distance < bestDistance) [best, bestDistance] = [candidate, distance];
+  }
+  return bestDistance <= Math.max(2, Math.floor(value.length / 4)) ? best : null;
+};
+
 const setNested = (target, parts, value) => {
   let cursor = target;
   for (let i = 0; i < parts.length; i++) {
@@ -126,25 +457,381 @@ const NOTE_TEXT_FIELDS = ["description", "description_text", "body", "note", "te
 const isHtmlDocument = (v) =>
   typeof v === "string" && /<\s*!doctype\s+html|<\s*html[\s>]/i.test(v);
 
-const stripHtml = (v = "") =>
-  v
-    .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/&nbsp;/gi, " ")
-    .replace(/&amp;/gi, "&")
-    .replace(/\s+/g, " ")
+// Latin-1 entities in code point order from U+00A0.
+const LATIN1_ENTITIES = (
+  "nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 " +
+  "acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde " +
+  "Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc " +
+  "Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml " +
+  "aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc " +
+  "otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml"
+).split(" ");
+
+const NAMED_ENTITIES = {
+  ...Object.fromEntries(LATIN1_ENTITIES.map((name, i) => [name, String.fromCharCode(0xa0 + i)])),
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ensp: " ",
+  emsp: " ",
+  thinsp: " ",
+  zwnj: "",
+  zwj: "",
+  ndash: "–",
+  mdash: "—",
+  lsquo: "‘",
+  rsquo: "’",
+  sbquo: "‚",
+  ldquo: "“",
+  rdquo: "”",
+  bdquo: "„",
+  bull: "•",
+  hellip: "…",
+  euro: "€",
+  trade: "™",
+  larr: "←",
+  rarr: "→",
+  uarr: "↑",
+  darr: "↓",
+  OElig: "Œ",
+  oelig: "œ",
+};
+
+const decodeEntities = (v) =>
+  v.replace(/&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+    if (name[0] !== "#") return NAMED_ENTITIES[name] ?? entity;
+    const code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+
+const escapeHtml = (v) =>
+  v.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const HTML_TAG =
+  /<\/?(p|div|span|br|hr|b|strong|i|em|u|s|a|img|ul|ol|li|h[1-6]|table|tr|td|th|blockquote|pre|code|font)\b[^>]*>/i;
+const HEADING_TAG = /^h([1-6])$/;
+const PARAGRAPH_TAGS = ["p", "section", "article", "header", "footer", "address", "figure"];
+const INLINE_MARKERS = { b: "**", strong: "**", i: "_", em: "_", s: "~~", strike: "~~", del: "~~", code: "`" };
+
+/**
+ * Renders Freshsales rich-text HTML as Markdown: paragraphs, headings,
+ * nested lists, links, emphasis, quotes, code and tables. Every element is
+ * collected in a frame so its text can be wrapped or indented on close.
+ */
+function htmlToMarkdown(html) {
+  // Plain text has no tags to render, only entities to decode.
+  if (!HTML_TAG.test(html)) return decodeEntities(html).trim();
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, "");
+
+  const frames = [{ tag: "root", text: "" }];
+  const top = () => frames.at(-1);
+  const nearest = (...tags) => frames.findLast((f) => tags.includes(f.tag));
+  const write = (text) => {
+    top().text += text;
+  };
+  const endLine = () => {
+    const frame = top();
+    if (frame.text && !frame.text.endsWith("\n")) frame.text = `${frame.text.replace(/[ \t]+$/, "")}\n`;
+  };
+  const endBlock = () => {
+    endLine();
+    const frame = top();
+    if (frame.text && !frame.text.endsWith("\n\n")) frame.text += "\n";
+  };
+  // Pops frames up to the innermost `tag`; unclosed ones inside keep their text.
+  const close = (tag) => {
+    if (!nearest(tag) || tag === "root") return null;
+    for (;;) {
+      const frame = frames.pop();
+      if (frame.tag === tag) return frame;
+      write(frame.text);
+    }
+  };
+  const closeItem = () => {
+    const item = close("li");
+    const list = nearest("ul", "ol");
+    const marker = list?.tag === "ol" ? `${list.index++}. ` : "- ";
+    const lines = item.text.trim().replace(/\n{2,}/g, "\n").split("\n");
+    endLine();
+    write(`${marker}${lines.join(`\n${" ".repeat(marker.length)}`)}\n`);
+  };
+
+  for (const [token, closing, name, attrs = ""] of source.matchAll(/<(\/?)([a-z][a-z0-9]*)\b([^>]*)>|[^<]+|</gi)) {
+    if (!name) {
+      const text = decodeEntities(token);
+      if (nearest("pre")) {
+        write(text);
+      } else {
+        const collapsed = text.replace(/\s+/g, " ");
+        write(/(^|\n)$/.test(top().text) ? collapsed.trimStart() : collapsed);
+      }
+      continue;
+    }
+
+    const tag = name.toLowerCase();
+    const attr = (key) => {
+      const match = attrs.match(new RegExp(`\\b${key}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+      return decodeEntities(match?.slice(1).find(isDefined) ?? "");
+    };
+    const heading = tag.match(HEADING_TAG);
+
+    if (!closing) {
+      if (heading) {
+        endBlock();
+        write(`${"#".repeat(Number(heading[1]))} `);
+      } else if (PARAGRAPH_TAGS.includes(tag)) {
+        endBlock();
+      } else if (tag === "div") {
+        endLine();
+      } else if (tag === "br") {
+        write("\n");
+      } else if (tag === "hr") {
+        endBlock();
+        write("---");
+        endBlock();
+      } else if (tag === "img" && attr("src")) {
+        write(`![${attr("alt")}](${attr("src")})`);
+      } else if (tag === "li") {
+        if (top().tag === "li") closeItem();
+        frames.push({ tag, text: "" });
+      } else if (tag === "ul" || tag === "ol") {
+        frames.push({ tag, text: "", index: Number(attr("start")) || 1 });
+      } else if (tag === "a") {
+        frames.push({ tag, text: "", href: attr("href") });
+      } else if (tag === "th" || tag === "td") {
+        frames.push({ tag: "td", text: "" });
+      } else if (tag === "tr") {
+        frames.push({ tag, text: "", cells: [] });
+      } else if (tag === "table") {
+        frames.push({ tag, text: "", rows: 0 });
+      } else if (tag === "blockquote" || tag === "pre" || (INLINE_MARKERS[tag] && !nearest("pre"))) {
+        frames.push({ tag, text: "" });
+      }
+      continue;
+    }
+
+    if (heading || PARAGRAPH_TAGS.includes(tag)) endBlock();
+    else if (tag === "div") endLine();
+    else if (tag === "li" && nearest("li")) closeItem();
+    else if ((tag === "ul" || tag === "ol") && nearest(tag)) {
+      if (top().tag === "li") closeItem();
+      const list = close(tag);
+      if (nearest("li")) endLine();
+      else endBlock();
+      write(list.text);
+      if (!nearest("li")) endBlock();
+    } else if (tag === "a" && nearest("a")) {
+      const { text, href } = close("a");
+      const label = text.trim();
+      if (!href || /^javascript:/i.test(href)) write(label);
+      else write(label && label !== href ? `[${label}](${href})` : `<${href}>`);
+    } else if ((tag === "th" || tag === "td") && nearest("td")) {
+      const cell = close("td").text.replace(/\s+/g, " ").trim().replace(/\|/g, "\\|");
+      nearest("tr")?.cells.push(cell);
+    } else if (tag === "tr" && nearest("tr")) {
+      const { cells } = close("tr");
+      const table = nearest("table");
+      write(`| ${cells.join(" | ")} |\n`);
+      if (table && table.rows++ === 0) write(`| ${cells.map(() => "---").join(" | ")} |\n`);
+    } else if (tag === "table" && nearest("table")) {
+      const { text } = close("table");
+      endBlock();
+      write(text);
+      endBlock();
+    } else if (tag === "blockquote" && nearest("blockquote")) {
+      const lines = close("blockquote").text.trim().split("\n");
+      endBlock();
+      write(lines.map((l) => (l ? `> ${l}` : ">")).join("\n"));
+      endBlock();
+    } else if (tag === "pre" && nearest("pre")) {
+      const { text } = close("pre");
+      endBlock();
+      write(`\`\`\`\n${text.replace(/^\n+|\n+$/g, "")}\n\`\`\``);
+      endBlock();
+    } else if (INLINE_MARKERS[tag] && nearest(tag)) {
+      // Markers hug the text: "<b>Hi </b>" becomes "**Hi** ".
+      const [, before, inner, after] = close(tag).text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      const marker = INLINE_MARKERS[tag];
+      write(inner ? `${before}${marker}${inner}${marker}${after}` : `${before}${after}`);
+    }
+  }
+
+  while (frames.length > 1) {
+    const frame = frames.pop();
+    write(frame.text);
+  }
+  return frames[0].text
+    .split("\n")
+    .map((l) => l.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
     .trim();
+}
+
+const SAFE_LINK = /^(https?:|mailto:|tel:|\/|#)/i;
+// "(target)", allowing one level of balanced parentheses inside the target.
+const LINK_TARGET = String.raw`\(((?:[^()\s]|\([^()\s]*\))+)\)`;
+
+const inlineMarkdown = (text) => {
+  // Code spans, images and link targets are set aside so emphasis never
+  // rewrites them.
+  const held = [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+    .replace(new RegExp(`!\\[([^\\]]*)\\]${LINK_TARGET}`, "g"), (_, alt, src) =>
+      SAFE_LINK.test(src) ? hold(`<img src="${src}" alt="${alt}">`) : alt,
+    )
+    .replace(new RegExp(`\\[([^\\]]+)\\]${LINK_TARGET}`, "g"), (_, label, href) =>
+      SAFE_LINK.test(href) ? `<a href="${hold(href)}">${label}</a>` : label,
+    )
+    .replace(/\*\*(?!\s)(.+?)(?<!\s)\*\*|__(?!\s)(.+?)(?<!\s)__/g, (_, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(
+      /(?<![\w*])\*(?!\s)(.+?)(?<!\s)\*(?![\w*])|(?<!\w)_(?!\s)(.+?)(?<!\s)_(?!\w)/g,
+      (_, a, b) => `<em>${a ?? b}</em>`,
+    )
+    .replace(/~~(?!\s)(.+?)(?<!\s)~~/g, "<s>$1</s>")
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => held[i]);
+};
+
+// Splits "| a | b\|c |" into cells, keeping escaped pipes.
+const tableCells = (line) =>
+  line
+    .trim()
+    .replace(/^\||\|$/g, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+
+/**
+ * Converts note Markdown (headings, paragraphs, nested lists, quotes, rules,
+ * tables, code blocks, emphasis and links) to the HTML Freshsales renders.
+ * Raw HTML in the input is escaped; single line breaks are kept as <br>.
+ */
+function markdownToHtml(markdown) {
+  const html = [];
+  const lists = [];
+  let paragraph = [];
+  let quote = [];
+  let table = [];
+  let fence = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${paragraph.map(inlineMarkdown).join("<br>")}</p>`);
+    paragraph = [];
+  };
+  const flushQuote = () => {
+    if (quote.length) html.push(`<blockquote>${markdownToHtml(quote.join("\n"))}</blockquote>`);
+    quote = [];
+  };
+  const closeLists = (indent = -1) => {
+    while (lists.length && lists.at(-1).indent > indent) html.push(`</li></${lists.pop().type}>`);
+  };
+  // Pipe rows only make a table under a "| --- |" separator row.
+  const flushTable = () => {
+    if (table.length >= 2 && tableCells(table[1]).every((c) => /^:?-+:?$/.test(c))) {
+      const row = (line, tag) =>
+        `<tr>${tableCells(line)
+          .map((c) => `<${tag}>${inlineMarkdown(c)}</${tag}>`)
+          .join("")}</tr>`;
+      html.push(`<table>${row(table[0], "th")}${table.slice(2).map((line) => row(line, "td")).join("")}</table>`);
+    } else {
+      paragraph.push(...table.map((line) => line.trim()));
+    }
+    table = [];
+  };
+  const flush = () => {
+    flushTable();
+    flushParagraph();
+    flushQuote();
+    closeLists();
+  };
+
+  for (const line of markdown.replace(/\r\n?/g, "\n").split("\n")) {
+    if (fence) {
+      if (/^\s*```/.test(line)) {
+        html.push(`<pre><code>${escapeHtml(fence.join("\n"))}</code></pre>`);
+        fence = null;
+      } else {
+        fence.push(line);
+      }
+      continue;
+    }
+    if (/^\s*```/.test(line)) {
+      flush();
+      fence = [];
+      continue;
+    }
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      flushParagraph();
+      flushQuote();
+      closeLists();
+      table.push(line);
+      continue;
+    }
+    flushTable();
+
+    const quoted = line.match(/^\s*>\s?(.*)$/);
+    if (quoted) {
+      flushParagraph();
+      closeLists();
+      quote.push(quoted[1]);
+      continue;
+    }
+    flushQuote();
+
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!line.trim()) {
+      flush();
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      html.push("<hr>");
+    } else if (heading) {
+      flush();
+      html.push(`<h${heading[1].length}>${inlineMarkdown(heading[2])}</h${heading[1].length}>`);
+    } else if (item) {
+      flushParagraph();
+      const indent = item[1].length;
+      const type = /^\d/.test(item[2]) ? "ol" : "ul";
+      closeLists(indent);
+      if (lists.at(-1)?.indent === indent && lists.at(-1).type !== type) html.push(`</li></${lists.pop().type}>`);
+      if (lists.at(-1)?.indent === indent) {
+        html.push(`</li><li>${inlineMarkdown(item[3])}`);
+      } else {
+        const start = type === "ol" && parseInt(item[2], 10) !== 1 ? ` start="${parseInt(item[2], 10)}"` : "";
+        lists.push({ type, indent });
+        html.push(`<${type}${start}><li>${inlineMarkdown(item[3])}`);
+      }
+    } else {
+      closeLists();
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  if (fence) html.push(`<pre><code>${escapeHtml(fence.join("\n"))}</code></pre>`);
+  return html.join("");
+}
+
+// Note content written by the tools is Markdown unless format is "html".
+const noteHtml = (content, format = "markdown") => (format === "html" ? content : markdownToHtml(content));
 
 const cleanNoteText = (v) => {
   if (typeof v !== "string") return v;
   const trimmed = v.trim();
   if (!trimmed) return "";
-  return stripHtml(trimmed);
+  return htmlToMarkdown(trimmed);
 };
 
+// Notes already converted to Markdown; converting them again is not idempotent.
+const convertedNotes = new WeakSet();
+
 const sanitizeNoteResponse = (raw) => {
-  if (!isDefined(raw)) return raw;
+  if (!isDefined(raw) || convertedNotes.has(raw)) return raw;
   if (typeof raw === "string") {
     return isHtmlDocument(raw) ? { text: "", raw_html_filtered: true } : { text: cleanNoteText(raw) };
   }
@@ -155,6 +842,7 @@ const sanitizeNoteResponse = (raw) => {
       if (isDefined(out[f])) out[f] = cleanNoteText(out[f]);
     }
     if (NOTE_TEXT_FIELDS.some((f) => isHtmlDocument(raw[f]))) out.raw_html_filtered = true;
+    convertedNotes.add(out);
     return out;
   }
   return raw;
@@ -182,6 +870,88 @@ const sanitizeNotesInPayload = (value, keyHint = "") => {
   return value;
 };
 
+// ---------------------------------------------------------------------------
+// View pagination
+// ---------------------------------------------------------------------------
+
+const VIEW_PAGE_SIZE = 100;
+const MAX_VIEW_RECORDS = Number(process.env.FRESHSALES_MAX_VIEW_RECORDS) || 1000;
+
+// Cursors are opaque to the model: base64url JSON of where a listing stopped.
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString("base64url");
+
+const decodeCursor = (cursor, entity) => {
+  let state = null;
+  try {
+    state = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    // reported below
+  }
+  if (state?.entity !== entity || !parseId(state.view_id) || !parseId(state.page)) {
+    throw new Error("cursor is invalid or belongs to another listing");
+  }
+  return state;
+};
+
+/**
+ * Lists a contacts / sales_accounts / deals view, or a custom module's under
+ * basePath. Without all_pages or max_records it returns one page like
+ * Freshsales does; with them it walks meta.total_pages until the view or
+ * max_records (capped at FRESHSALES_MAX_VIEW_RECORDS) runs out. next_cursor
+ * resumes where the result stopped, mid-page if need be, and is null once
+ * the view is done.
+ */
+async function listView(http, entity, args, { basePath = `/${entity}` } = {}) {
+  const walk = Boolean(args.all_pages) || isDefined(args.max_records);
+  let state;
+  if (args.cursor) {
+    state = decodeCursor(args.cursor, entity);
+  } else {
+    const viewId = parseId(args.view_id);
+    if (!viewId) throw new Error("view_id is required");
+    state = {
+      entity,
+      view_id: viewId,
+      page: parseId(args.page) ?? 1,
+      skip: 0,
+      ...pick(args, ["sort", "sort_type"]),
+      ...(walk ? { per_page: VIEW_PAGE_SIZE } : {}),
+    };
+  }
+  const limit = walk ? Math.min(parseId(args.max_records) ?? MAX_VIEW_RECORDS, MAX_VIEW_RECORDS) : Infinity;
+
+  const records = [];
+  let data = {};
+  let pagesFetched = 0;
+  let done = false;
+  while (true) {
+    const params = pick(state, ["page", "per_page", "sort", "sort_type"]);
+    const res = await http.get(`${basePath}/view/${state.view_id}`, { params });
+    data = res.data ?? {};
+    pagesFetched++;
+
+    const pageRecords = Array.isArray(data[entity]) ? data[entity] : [];
+    const remaining = pageRecords.slice(state.skip);
+    const room = limit - records.length;
+    records.push(...remaining.slice(0, room));
+    if (remaining.length > room) {
+      state = { ...state, skip: state.skip + room };
+      break;
+    }
+
+    state = { ...state, page: state.page + 1, skip: 0 };
+    const totalPages = data.meta?.total_pages;
+    done = isDefined(totalPages) ? state.page > totalPages : !pageRecords.length;
+    if (done || !walk || records.length >= limit) break;
+  }
+
+  const meta = { ...data.meta, pages_fetched: pagesFetched, returned: records.length };
+  const next_cursor = done ? null : encodeCursor(state);
+  // Side-loaded data (users, ...) only makes sense for a single page.
+  const body = walk ? {} : data;
+  return sanitizeNotesInPayload({ success: true, ...body, [entity]: records, meta, next_cursor });
+}
+
 // ---------------------------------------------------------------------------
 // Search / Lookup helpers
 // ---------------------------------------------------------------------------
@@ -196,6 +966,36 @@ async function lookupByField(http, q, field, entities) {
   return res.data;
 }
 
+const FILTERED_SEARCH_MAX_PER_PAGE = 100;
+
+/**
+ * Runs /filtered_search/{entity} with AND-ed conditions; `entity` is a record
+ * type (contact, ...) or a custom module's entity name. Selector labels in
+ * condition values (owners, stages, ...) are resolved first. Returns one page
+ * plus next_page while meta.total says more records match.
+ */
+async function filteredSearch(http, args) {
+  const { entity, conditions, page = 1, per_page = 25 } = args;
+  const key = RECORD_COLLECTIONS[entity] ?? entity;
+  const filter_rule = (await resolveConditionLabels(http, conditions)).map((c) =>
+    pick(c, ["attribute", "operator", "value"]),
+  );
+  const perPage = Math.min(per_page, FILTERED_SEARCH_MAX_PER_PAGE);
+  const params = { page, per_page: perPage, ...pick(args, ["sort", "sort_type"]) };
+  const res = await http.post(`/filtered_search/${entity}`, { filter_rule }, { params });
+
+  const records = Array.isArray(res.data?.[key]) ? res.data[key] : [];
+  const total = res.data?.meta?.total;
+  const hasMore = isDefined(total) ? page * perPage < total : records.length === perPage;
+  return sanitizeNotesInPayload({
+    success: true,
+    entity,
+    [key]: records,
+    meta: { ...res.data?.meta, page, per_page: perPage },
+    next_page: hasMore ? page + 1 : null,
+  });
+}
+
 function extractEntities(raw, preferredKey) {
   if (!raw) return [];
   if (Array.isArray(raw)) return raw;
@@ -343,19 +1143,236 @@ async function findDealInternal(http, findByNameOrId, valueForFindDeal) {
   return { find_by_name_or_id: findByNameOrId, value_for_find_deal: valueForFindDeal, matches, exact_match: exact, raw };
 }
 
+// ---------------------------------------------------------------------------
+// Selector label resolution
+// ---------------------------------------------------------------------------
+
+// Arguments (with or without a record prefix) that take a selector ID but may
+// be given as a label instead, e.g. deal__deal_stage_id: "Negotiation".
+const SELECTOR_FIELDS = {
+  owner_id: "owners",
+  territory_id: "territories",
+  deal_pipeline_id: "deal_pipelines",
+  deal_stage_id: "deal_stages",
+  currency_id: "currencies",
+  deal_reason_id: "deal_reasons",
+  deal_type_id: "deal_types",
+  lead_source_id: "lead_sources",
+  industry_type_id: "industry_types",
+  business_type_id: "business_types",
+  campaign_id: "campaigns",
+  deal_payment_status_id: "deal_payment_statuses",
+  deal_product_id: "deal_products",
+  contact_status_id: "contact_statuses",
+  lifecycle_stage_id: "lifecycle_stages",
+  sales_activity_type_id: "sales_activity_types",
+  sales_activity_outcome_id: "sales_activity_outcomes",
+};
+
+// Selectors listed under a parent, and the sibling argument holding it.
+const SCOPED_SELECTORS = {
+  deal_stages: { parent: "deal_pipelines", field: "deal_pipeline_id" },
+  sales_activity_outcomes: { parent: "sales_activity_types", field: "sales_activity_type_id" },
+};
+
+const SELECTOR_LABEL_KEYS = ["name", "display_name", "email", "currency_code", "value", "label"];
+
+const selectorEntries = (data, selectorType) => {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.[selectorType])) return data[selectorType];
+  return Object.values(data ?? {}).find(Array.isArray) ?? [];
+};
+
+const selectorLabel = (entry) => SELECTOR_LABEL_KEYS.map((k) => entry[k]).find(isDefined);
+
+const selectorError = (argument, message, candidates) => {
+  const error = new Error(message);
+  error.argument = argument;
+  error.candidates = candidates
+    .slice(0, 25)
+    .map((e) => ({ id: e.id, label: selectorLabel(e), ...(e.email ? { email: e.email } : {}) }));
+  return error;
+};
+
+// credential key + endpoint -> pending selector request. The metadata cache
+// only helps once a response is in, so concurrent lookups share the request.
+const selectorRequests = new Map();
+
+function fetchSelector(http, endpoint) {
+  const key = `${clientKeys.get(http)} ${endpoint}`;
+  if (!selectorRequests.has(key)) {
+    selectorRequests.set(key, http.get(endpoint).finally(() => selectorRequests.delete(key)));
+  }
+  return selectorRequests.get(key);
+}
+
+// Resolves one selector label to its ID. Stages and activity outcomes are
+// looked up under their pipeline / activity type when parentId is known.
+async function resolveSelectorLabel(http, { argument, field, label, parentId, parentArgument }) {
+  const selectorType = SELECTOR_FIELDS[field];
+  const scope = SCOPED_SELECTORS[selectorType];
+  const endpoint =
+    scope && parentId
+      ? `/selector/${scope.parent}/${parentId}/${selectorType}`
+      : `/selector/${selectorType}`;
+
+  const res = await fetchSelector(http, endpoint);
+  const entries = selectorEntries(res.data, selectorType);
+  const wanted = label.trim().toLowerCase();
+  const matches = entries.filter((e) =>
+    SELECTOR_LABEL_KEYS.some((k) => isDefined(e[k]) && e[k].toString().trim().toLowerCase() === wanted),
+  );
+
+  if (matches.length === 1) return matches[0].id;
+  if (matches.length > 1) {
+    throw selectorError(
+      argument,
+      `"${label}" matches several ${selectorType} for ${argument}; pass one of their IDs` +
+        (scope ? ` or set ${parentArgument}` : ""),
+      matches,
+    );
+  }
+  throw selectorError(argument, `No ${selectorType} match "${label}" for ${argument}`, entries);
+}
+
+// Parents first, so stages can be scoped to a pipeline given by name.
+const parentsFirst = (fieldOf) => (a, b) =>
+  Boolean(SCOPED_SELECTORS[SELECTOR_FIELDS[fieldOf(a)]]) - Boolean(SCOPED_SELECTORS[SELECTOR_FIELDS[fieldOf(b)]]);
+
+/**
+ * Replaces selector labels in already-parsed arguments with their IDs.
+ * Matching is case-insensitive on the entry's name, display name, email or
+ * code; a label matching several entries is an error listing them.
+ */
+async function resolveSelectorLabels(http, args) {
+  const fieldOf = (key) => key.split("__").pop();
+  const keys = Object.keys(args).filter((k) => SELECTOR_FIELDS[fieldOf(k)] && typeof args[k] === "string");
+  if (!keys.length) return args;
+
+  const resolved = { ...args };
+  for (const key of keys.sort(parentsFirst(fieldOf))) {
+    const field = fieldOf(key);
+    const scope = SCOPED_SELECTORS[SELECTOR_FIELDS[field]];
+    const parentArgument = scope && key.slice(0, -field.length) + scope.field;
+    resolved[key] = await resolveSelectorLabel(http, {
+      argument: key,
+      field,
+      label: resolved[key],
+      parentId: scope && parseId(resolved[parentArgument]),
+      parentArgument,
+    });
+  }
+  return resolved;
+}
+
+// Same for filtered search conditions, whose attribute may be qualified
+// ("deal.owner_id") and whose value may be a list.
+async function resolveConditionLabels(http, conditions) {
+  const fieldOf = (condition) => condition.attribute.split(".").pop();
+  const resolved = conditions.map((c) => ({ ...c }));
+  const isLabel = (v) => typeof v === "string" && !parseId(v);
+
+  const order = [...resolved.keys()].sort((a, b) => parentsFirst(fieldOf)(resolved[a], resolved[b]));
+  for (const index of order) {
+    const condition = resolved[index];
+    const field = fieldOf(condition);
+    const values = [].concat(condition.value ?? []);
+    if (!SELECTOR_FIELDS[field] || !values.some(isLabel)) continue;
+
+    const scope = SCOPED_SELECTORS[SELECTOR_FIELDS[field]];
+    const parent = scope && resolved.find((c) => fieldOf(c) === scope.field && !Array.isArray(c.value));
+    const ids = [];
+    for (const value of values) {
+      ids.push(
+        isLabel(value)
+          ? await resolveSelectorLabel(http, {
+              argument: `conditions[${index}].value`,
+              field,
+              label: value,
+              parentId: parent && parseId(parent.value),
+              parentArgument: `a ${scope?.field} condition`,
+            })
+          : value,
+      );
+    }
+    condition.value = Array.isArray(condition.value) ? ids : ids[0];
+  }
+  return resolved;
+}
+
 // ---------------------------------------------------------------------------
 // Schema helper
 // ---------------------------------------------------------------------------
 
+// Record prefixes whose unknown keys are rejected rather than dropped by
+// buildPrefixedObject. <prefix>__custom_field__<name> stays open because
+// custom field names differ per account.
+const checkPrefixedKeys = (shape) => {
+  const known = Object.keys(shape);
+  const prefixes = [...new Set(known.filter((k) => k.includes("__")).map((k) => k.split("__")[0]))];
+
+  return (args, ctx) => {
+    for (const key of Object.keys(args)) {
+      if (key in shape) continue;
+      const prefix = prefixes.find((p) => key.startsWith(`${p}__`));
+      if (!prefix) continue;
+      if (`${prefix}__custom_field` in shape && key.startsWith(`${prefix}__custom_field__`)) continue;
+
+      const suggestion = closestMatch(key, known.filter((k) => k.startsWith(`${prefix}__`)));
+      ctx.addIssue({
+        code: "custom",
+        path: [key],
+        message: `Unknown argument ${key}.${suggestion ? ` Did you mean ${suggestion}?` : ""}`,
+      });
+    }
+  };
+};
+
+/**
+ * Builds a tool's argument schema. Keys are optional unless listed in
+ * `required`; keys outside the shape are let through (clients add their own
+ * metadata) except unknown <record>__* keys, which are almost always typos.
+ */
 function createSchema(properties, required = []) {
-  return { type: "object", properties, required, additionalProperties: true };
+  const shape = Object.fromEntries(
+    Object.entries(properties).map(([k, v]) => [k, required.includes(k) ? v : v.optional()]),
+  );
+  return z.looseObject(shape).superRefine(checkPrefixedKeys(shape));
 }
 
-const STR = { type: "string" };
-const NUM_STR = { type: ["number", "string"] };
-const BOOL_STR = { type: ["boolean", "string"] };
-const STR_ARR = { type: "array", items: { type: "string" } };
-const NUM_ARR = { type: "array", items: { type: ["number", "string"] } };
+const schemaCache = new WeakMap();
+
+// The JSON Schema advertised in tools/list, describing accepted input (before
+// coercion).
+const toInputSchema = (schema) => {
+  if (!schemaCache.has(schema)) {
+    const { $schema, ...json } = z.toJSONSchema(schema, { io: "input", unrepresentable: "any" });
+    schemaCache.set(schema, json);
+  }
+  return schemaCache.get(schema);
+};
+
+const JSON_OBJECT = z.record(z.string(), z.unknown());
+
+const STR = z.string();
+// Numeric values may arrive as numbers or numeric strings; both become numbers.
+const NUM_STR = z
+  .union([z.number(), z.string().trim().regex(/^-?\d+(\.\d+)?$/, "Expected a number")])
+  .transform(Number);
+const BOOL_STR = z
+  .union([z.boolean(), z.enum(["true", "false", "True", "False", "TRUE", "FALSE", "1", "0"])])
+  .transform((v) => v === true || ["true", "1"].includes(String(v).toLowerCase()));
+// Selector IDs (see SELECTOR_FIELDS) also accept the entry's label.
+const ID_OR_LABEL = z
+  .union([NUM_STR, z.string().trim().min(1)])
+  .describe("ID o nombre de la opcion (para owner_id tambien el email del usuario)");
+// Lookup values: an ID, email, phone or name depending on the field searched.
+const ID_OR_STR = z.union([z.number(), z.string()]);
+const STR_ARR = z.array(STR);
+const NUM_ARR = z.array(NUM_STR);
+const DATE = z.iso.date();
+const DATETIME = z.union([z.iso.datetime({ offset: true, local: true }), z.iso.date()]);
+const TIME = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Expected HH:MM (24-hour)");
 
 // ---------------------------------------------------------------------------
 // Shared field groups for schemas
@@ -366,7 +1383,7 @@ const CONTACT_FIELDS = {
   contact__last_name: STR,
   contact__email: STR,
   contact__work_email: STR,
-  contact__emails: { type: "array", items: { type: ["string", "object"] } },
+  contact__emails: z.array(z.union([STR, JSON_OBJECT])),
   contact__mobile_number: STR,
   contact__work_number: STR,
   contact__phone_numbers: STR_ARR,
@@ -384,18 +1401,18 @@ const CONTACT_FIELDS = {
   contact__medium: STR,
   contact__keyword: STR,
   contact__lead_score: NUM_STR,
-  contact__lead_source_id: NUM_STR,
-  contact__owner_id: NUM_STR,
-  contact__territory_id: NUM_STR,
-  contact__campaign_id: NUM_STR,
-  contact__contact_status_id: NUM_STR,
-  contact__lifecycle_stage_id: NUM_STR,
+  contact__lead_source_id: ID_OR_LABEL,
+  contact__owner_id: ID_OR_LABEL,
+  contact__territory_id: ID_OR_LABEL,
+  contact__campaign_id: ID_OR_LABEL,
+  contact__contact_status_id: ID_OR_LABEL,
+  contact__lifecycle_stage_id: ID_OR_LABEL,
   contact__subscription_status: STR,
   contact__subscription_types: STR_ARR,
   contact__tags: STR_ARR,
-  contact__sales_accounts: { type: "array", items: { type: "object" } },
+  contact__sales_accounts: z.array(JSON_OBJECT),
   contact__sales_account__name: STR,
-  contact__custom_field: { type: "object" },
+  contact__custom_field: JSON_OBJECT,
 };
 
 const ACCOUNT_FIELDS = {
@@ -407,619 +1424,2534 @@ const ACCOUNT_FIELDS = {
   sales_account__state: STR,
   sales_account__country: STR,
   sales_account__zipcode: STR,
-  sales_account__industry_type_id: NUM_STR,
-  sales_account__business_type_id: NUM_STR,
+  sales_account__industry_type_id: ID_OR_LABEL,
+  sales_account__business_type_id: ID_OR_LABEL,
   sales_account__number_of_employees: NUM_STR,
   sales_account__annual_revenue: NUM_STR,
-  sales_account__owner_id: NUM_STR,
-  sales_account__territory_id: NUM_STR,
+  sales_account__owner_id: ID_OR_LABEL,
+  sales_account__territory_id: ID_OR_LABEL,
   sales_account__parent_sales_account_id: NUM_STR,
   sales_account__tags: STR_ARR,
   sales_account__facebook: STR,
   sales_account__twitter: STR,
   sales_account__linkedin: STR,
-  sales_account__custom_field: { type: "object" },
+  sales_account__custom_field: JSON_OBJECT,
+};
+
+const DEAL_FIELDS = {
+  deal__name: STR,
+  deal__amount: NUM_STR,
+  deal__currency_id: ID_OR_LABEL,
+  deal__deal_pipeline_id: ID_OR_LABEL,
+  deal__deal_stage_id: ID_OR_LABEL,
+  deal__deal_type_id: ID_OR_LABEL,
+  deal__expected_close: DATE,
+  deal__closed_date: DATE,
+  deal__owner_id: ID_OR_LABEL,
+  deal__sales_account_id: NUM_STR,
+  deal__sales_account__name: STR,
+  deal__contacts_added_list: z.array(ID_OR_STR),
+  deal__probability: NUM_STR,
+  deal__lead_source_id: ID_OR_LABEL,
+  deal__campaign_id: ID_OR_LABEL,
+  deal__deal_product_id: ID_OR_LABEL,
+  deal__territory_id: ID_OR_LABEL,
+  deal__tags: STR_ARR,
+  deal__deal_payment_status_id: ID_OR_LABEL,
+  deal__deal_reason_id: ID_OR_LABEL,
+  deal__forecast_category: STR,
+  deal__custom_field: JSON_OBJECT,
+};
+
+const NOTE_FORMAT = z
+  .enum(["markdown", "html"])
+  .describe("Formato del contenido: markdown (por defecto, se convierte a HTML) o html");
+
+const MODULE_NAME = STR.describe("Modulo personalizado: nombre interno (cm_project) o etiqueta (Proyectos)");
+
+const PAGINATION_FIELDS = {
+  all_pages: BOOL_STR.describe("Recorre todas las paginas de la vista (hasta max_records)"),
+  max_records: NUM_STR.describe("Maximo de registros a devolver recorriendo paginas (tope 1000 por defecto)"),
+  cursor: STR.describe("next_cursor de una llamada anterior para continuar donde se quedo (reemplaza view_id/page)"),
 };
 
-const DEAL_FIELDS = {
-  deal__name: STR,
-  deal__amount: NUM_STR,
-  deal__currency_id: NUM_STR,
-  deal__deal_pipeline_id: NUM_STR,
-  deal__deal_stage_id: NUM_STR,
-  deal__deal_type_id: NUM_STR,
-  deal__expected_close: STR,
-  deal__closed_date: STR,
-  deal__owner_id: NUM_STR,
-  deal__sales_account_id: NUM_STR,
-  deal__sales_account__name: STR,
-  deal__contacts_added_list: { type: "array", items: { type: ["string", "number"] } },
-  deal__probability: NUM_STR,
-  deal__lead_source_id: NUM_STR,
-  deal__campaign_id: NUM_STR,
-  deal__deal_product_id: NUM_STR,
-  deal__territory_id: NUM_STR,
-  deal__tags: STR_ARR,
-  deal__deal_payment_status_id: NUM_STR,
-  deal__deal_reason_id: NUM_STR,
-  deal__forecast_category: STR,
-  deal__custom_field: { type: "object" },
+const FILTER_CONDITIONS = z
+  .array(
+    z.object({
+      attribute: STR.describe("Campo, ej: owner_id, deal_stage_id, contact_email.email, cf_region"),
+      operator: STR.describe("Operador, ej: is_in, is_not_in, contains, is_empty, is_not_empty"),
+      value: z.union([STR, z.number(), z.boolean(), z.array(ID_OR_STR)]).optional(),
+    }),
+  )
+  .min(1);
+
+// ---------------------------------------------------------------------------
+// Account field settings
+// ---------------------------------------------------------------------------
+
+// With FRESHSALES_DYNAMIC_SCHEMAS=true the record field groups are extended
+// from the account's /settings/<entity>/fields, so custom fields are offered
+// by name with their label and dropdown choices.
+const DYNAMIC_SCHEMAS = process.env.FRESHSALES_DYNAMIC_SCHEMAS === "true";
+
+const FIELD_SETTINGS_ENTITIES = [
+  { prefix: "contact", path: "/settings/contacts/fields", base: CONTACT_FIELDS },
+  { prefix: "sales_account", path: "/settings/sales_accounts/fields", base: ACCOUNT_FIELDS },
+  { prefix: "deal", path: "/settings/deals/fields", base: DEAL_FIELDS },
+];
+
+const choiceValues = (field) =>
+  [...new Set((field.choices ?? []).map((c) => c.value).filter((v) => typeof v === "string" && v))];
+
+// Maps a Freshsales field setting to an argument schema. Choices become an
+// enum only for custom fields; default dropdowns take IDs or selector labels.
+function fieldSchema(field, custom) {
+  const choices = custom ? choiceValues(field) : [];
+  const fallback = SELECTOR_FIELDS[field.name] ? ID_OR_LABEL : field.name.endsWith("_id") ? NUM_STR : STR;
+  let schema;
+  switch (field.type) {
+    case "number":
+      schema = NUM_STR;
+      break;
+    case "checkbox":
+      schema = BOOL_STR;
+      break;
+    case "date":
+      schema = DATE;
+      break;
+    case "date_time":
+      schema = DATETIME;
+      break;
+    case "dropdown":
+    case "radio":
+      schema = choices.length ? z.enum(choices) : fallback;
+      break;
+    case "multi_select_dropdown":
+      schema = z.array(choices.length ? z.enum(choices) : STR);
+      break;
+    default:
+      schema = fallback;
+  }
+  return field.label ? schema.describe(field.label) : schema;
+}
+
+function buildFieldGroup({ prefix, base }, fields) {
+  const group = { ...base };
+  for (const field of fields) {
+    if (typeof field?.name !== "string" || !/^\w+$/.test(field.name)) continue;
+    const custom = field.default === false;
+    const key = custom ? `${prefix}__custom_field__${field.name}` : `${prefix}__${field.name}`;
+    if (!(key in group)) group[key] = fieldSchema(field, custom);
+  }
+  return group;
+}
+
+const fieldSettingsCache = new Map();
+
+async function fetchFieldSettings(http) {
+  const groups = await Promise.all(
+    FIELD_SETTINGS_ENTITIES.map(async (entity) => {
+      const res = await http.get(entity.path);
+      const fields = Array.isArray(res.data?.fields) ? res.data.fields : [];
+      return [entity.prefix, buildFieldGroup(entity, fields)];
+    }),
+  );
+  return Object.fromEntries(groups);
+}
+
+/**
+ * Returns the field groups for the account behind `http`, or null when
+ * dynamic schemas are off or the settings could not be loaded (the static
+ * groups are used then). Results are cached per credential; once stale they
+ * are served while a refresh runs in the background.
+ */
+export async function loadFieldSettings(http, { refresh = false } = {}) {
+  const key = clientKeys.get(http);
+  if (!DYNAMIC_SCHEMAS || !key) return null;
+
+  const load = () => {
+    const entry = fieldSettingsCache.get(key) ?? {};
+    entry.pending ??= fetchFieldSettings(http)
+      .then((groups) => {
+        Object.assign(entry, { groups, loadedAt: Date.now() });
+        return groups;
+      })
+      .catch((err) => {
+        console.error(`Could not load Freshsales field settings: ${err.message}`);
+        return entry.groups ?? null;
+      })
+      .finally(() => {
+        entry.pending = null;
+      });
+    fieldSettingsCache.set(key, entry);
+    return entry.pending;
+  };
+
+  const cached = fieldSettingsCache.get(key);
+  if (!cached?.groups || refresh) return load();
+  if (Date.now() - cached.loadedAt > FIELD_SETTINGS_TTL_MS) load();
+  return cached.groups;
+}
+
+// ---------------------------------------------------------------------------
+// Error results
+// ---------------------------------------------------------------------------
+
+const NETWORK_ERROR_CODES = [...RETRYABLE_ERROR_CODES, "ENOTFOUND", "EPIPE"];
+
+// The record prefix the tool's flat arguments use (contact__*, deal__*, ...).
+const argumentPrefixFor = (name = "") => {
+  if (/_contacts?(_|$)/.test(name)) return "contact";
+  if (/_accounts?(_|$)/.test(name)) return "sales_account";
+  if (/_deals?(_|$)/.test(name)) return "deal";
+  return null;
+};
+
+const categoryForStatus = (status) => {
+  if (status === 404) return "not_found";
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "upstream";
+  return "validation";
+};
+
+// Freshsales reports validation problems either as
+// { errors: [{ field, message }] } or { errors: { code, message: [...] } }.
+const freshsalesErrorMessages = (data) => {
+  const errors = data?.errors;
+  if (Array.isArray(errors)) {
+    return errors.map((e) => (typeof e === "string" ? { message: e } : { field: e.field, message: e.message }));
+  }
+  if (errors?.message) {
+    return [].concat(errors.message).map((message) => ({ message: String(message) }));
+  }
+  if (typeof data?.message === "string") return [{ message: data.message }];
+  return [];
+};
+
+// Finds the tool argument a Freshsales field error refers to, e.g. "email"
+// -> contact__email or "custom_field.cf_tier" -> deal__custom_field__cf_tier.
+// Errors without a field name are matched on their humanised prefix
+// ("Last name can't be blank" -> contact__last_name).
+function argumentForError({ field, message }, prefix, args) {
+  const keys = Object.keys(args || {}).filter((k) => !prefix || k.startsWith(`${prefix}__`));
+  if (field) {
+    const fieldPath = String(field).replace(/\./g, "__");
+    const match = keys.find((k) => k === `${prefix}__${fieldPath}` || k.endsWith(`__${fieldPath}`));
+    return match ?? (prefix ? `${prefix}__${fieldPath}` : undefined);
+  }
+  const text = (message || "").toLowerCase();
+  return keys.find((k) => {
+    const label = k.split("__").pop().replace(/^cf_/, "").replace(/_/g, " ");
+    return label && text.startsWith(`${label} `);
+  });
+}
+
+/**
+ * Turns anything runTool throws into { success: false, error: {...} } with a
+ * category (not_found, validation, auth, rate_limited, upstream, internal),
+ * the HTTP status and endpoint for Freshsales failures, field errors mapped
+ * back to the tool's arguments, and whether retrying may help.
+ */
+export function toToolError(error, { name, args } = {}) {
+  const { response, config } = error;
+  const details = { category: "internal", message: error.message, retryable: false };
+
+  if (error.code === "insufficient_scope") {
+    Object.assign(details, {
+      category: "auth",
+      code: "insufficient_scope",
+      required_scope: error.required_scope,
+    });
+  } else if (error.code === "rate_limited") {
+    Object.assign(details, { category: "rate_limited", retry_after_seconds: Math.ceil(error.retry_after_ms / 1000) });
+  } else if (error instanceof z.ZodError) {
+    Object.assign(details, {
+      category: "validation",
+      message: error.issues.map((issue) => issue.message).join("; "),
+      fields: error.issues.map((issue) => ({
+        argument: issue.path.join(".") || undefined,
+        message: issue.message,
+      })),
+    });
+  } else if (response) {
+    const fieldErrors = freshsalesErrorMessages(response.data);
+    const prefix = argumentPrefixFor(name);
+    Object.assign(details, {
+      category: categoryForStatus(response.status),
+      message: fieldErrors.map((e) => e.message).join("; ") || `Freshsales returned HTTP ${response.status}`,
+      status: response.status,
+    });
+    if (details.category === "validation" && fieldErrors.length) {
+      details.fields = fieldErrors.map((e) => ({ ...e, argument: argumentForError(e, prefix, args) }));
+    }
+    const retryAfter = retryAfterMs(response.headers);
+    if (isDefined(retryAfter)) details.retry_after_seconds = Math.ceil(retryAfter / 1000);
+    const hasBody = typeof response.data === "object" ? Object.keys(response.data ?? {}).length : response.data;
+    if (!fieldErrors.length && hasBody) details.response = response.data;
+  } else if (config && NETWORK_ERROR_CODES.includes(error.code)) {
+    Object.assign(details, { category: "upstream", code: error.code });
+  } else if (error.name === "Error") {
+    // Plain Errors are thrown by the tool handlers for bad arguments.
+    details.category = "validation";
+    if (error.argument) details.fields = [{ argument: error.argument, message: error.message }];
+    if (error.candidates) details.candidates = error.candidates;
+  }
+
+  if (config) details.endpoint = `${(config.method || "get").toUpperCase()} ${config.url}`;
+  details.retryable = details.category === "rate_limited" || details.category === "upstream";
+  if (error.throttling) details.throttling = error.throttling;
+  if (error.debug) details.debug = error.debug;
+
+  return { success: false, error: details };
+}
+
+// ---------------------------------------------------------------------------
+// Bulk operations
+// ---------------------------------------------------------------------------
+
+const MAX_BULK_RECORDS = Number(process.env.FRESHSALES_MAX_BULK_RECORDS) || 500;
+const BULK_DELETE_CHUNK_SIZE = 100;
+// Rows per request to the bulk_upsert / bulk_update endpoints.
+const BULK_WRITE_CHUNK_SIZE = 100;
+
+// Bulk tools are generated per record type; rows are validated against the
+// matching single-record tool, so they take exactly the same arguments.
+const BULK_ENTITIES = [
+  {
+    name: "contacts",
+    label: "contactos",
+    single: "contact",
+    prefix: "contact",
+    collection: "contacts",
+    updateArgs: (id) => ({ update_by: "contact_id", value_for_update_by: id }),
+  },
+  {
+    name: "accounts",
+    label: "cuentas",
+    single: "account",
+    prefix: "sales_account",
+    collection: "sales_accounts",
+    updateArgs: (id) => ({ update_by: "account_id", value_for_update_by: id }),
+  },
+  {
+    name: "deals",
+    label: "deals",
+    single: "deal",
+    prefix: "deal",
+    collection: "deals",
+    updateArgs: (id) => ({ value_for_update_by: id }),
+  },
+];
+
+// Contact list changes only exist on the single-record update.
+const ROW_ONLY_UPDATE_ARGS = ["list_operation", "list_name", "lifecycle_stage"];
+
+const BULK_ACTIONS = ["create", "update", "upsert"];
+
+const NOT_ATTEMPTED = {
+  category: "rate_limited",
+  message: "Not attempted: the Freshsales rate limit was reached earlier in this batch",
+  retryable: true,
+};
+
+const bulkReport = (results) => {
+  const succeeded = results.filter((r) => r.success).length;
+  const skipped = results.filter((r) => r.skipped).length;
+  return {
+    success: succeeded === results.length,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded - skipped,
+    skipped,
+    results,
+  };
+};
+
+// The ID of the record a single-record tool returned.
+const resultRecordId = (result) =>
+  result.id ?? Object.values(result).find((v) => v && typeof v === "object" && "id" in v)?.id;
+
+/**
+ * Runs a bulk create / update / upsert tool. Upserts go to
+ * /<collection>/bulk_upsert and updates sharing the same changes to
+ * /<collection>/bulk_update, up to BULK_WRITE_CHUNK_SIZE rows per request.
+ * Creates, and any chunk Freshsales rejects as a whole, fall back to one
+ * request per row (a few at a time) so every row gets its own result. Once
+ * Freshsales refuses a request for rate limiting, the remaining rows are
+ * reported as skipped rather than attempted.
+ */
+async function bulkWrite(http, name, records) {
+  const [, action, entityName] = name.match(/^freshsales_suite_bulk_(\w+?)_(\w+)$/);
+  const entity = BULK_ENTITIES.find((e) => e.name === entityName);
+  const { prefix, collection } = entity;
+  const rowToolName = `freshsales_suite_${action}_${entity.single}`;
+  const rowTool = toolDefinitionsFor(await loadFieldSettings(http)).find((t) => t.name === rowToolName);
+
+  const results = [];
+  const fail = (index, error) => {
+    const { error: details } = toToolError(error, { name: rowToolName, args: records[index] });
+    results[index] = { index, success: false, error: details };
+  };
+  const skip = (rows) => {
+    for (const { index } of rows) results[index] = { index, success: false, skipped: true, error: NOT_ATTEMPTED };
+  };
+
+  // Every row is validated and has its selector labels resolved up front.
+  const rows = [];
+  for (let start = 0; start < records.length; start += MAX_CONCURRENCY) {
+    const chunk = records.slice(start, start + MAX_CONCURRENCY);
+    await Promise.all(
+      chunk.map(async (row, i) => {
+        const index = start + i;
+        try {
+          let rowArgs = row;
+          if (action === "update") {
+            const { id, ...fields } = row;
+            if (!parseId(id)) throw new Error("id is required");
+            rowArgs = { ...fields, ...entity.updateArgs(parseId(id)) };
+          }
+          const args = await resolveSelectorLabels(http, rowTool.schema.parse(rowArgs));
+          rows.push({ index, id: parseId(row.id), args });
+        } catch (error) {
+          fail(index, error);
+        }
+      }),
+    );
+  }
+  rows.sort((a, b) => a.index - b.index);
+
+  let halted = false;
+  const writeRows = async (list) => {
+    for (let start = 0; start < list.length; start += MAX_CONCURRENCY) {
+      const chunk = list.slice(start, start + MAX_CONCURRENCY);
+      if (halted) {
+        skip(chunk);
+        continue;
+      }
+      await Promise.all(
+        chunk.map(async ({ index, args }) => {
+          try {
+            results[index] = { index, success: true, id: resultRecordId(await executeTool(http, rowToolName, args)) };
+          } catch (error) {
+            fail(index, error);
+          }
+        }),
+      );
+      halted = chunk.some(({ index }) => results[index].error?.category === "rate_limited");
+    }
+  };
+
+  // A 404 or 405 means the account has no such bulk endpoint; the remaining
+  // rows are then written one by one.
+  let bulkUnavailable = false;
+  const writeBulk = async (list, endpoint, body, idOf) => {
+    for (let start = 0; start < list.length; start += BULK_WRITE_CHUNK_SIZE) {
+      const chunk = list.slice(start, start + BULK_WRITE_CHUNK_SIZE);
+      if (halted) {
+        skip(chunk);
+        continue;
+      }
+      if (bulkUnavailable) {
+        await writeRows(chunk);
+        continue;
+      }
+      try {
+        const res = await http.post(endpoint, body(chunk));
+        chunk.forEach((row, i) => {
+          results[row.index] = { index: row.index, success: true, id: idOf(row, res.data?.[collection]?.[i]) };
+        });
+      } catch (error) {
+        const { error: details } = toToolError(error, { name });
+        if (details.category === "rate_limited") {
+          halted = true;
+          skip(chunk);
+          continue;
+        }
+        if (details.status === 404 || details.status === 405) bulkUnavailable = true;
+        await writeRows(chunk);
+      }
+    }
+  };
+
+  if (action === "upsert") {
+    await writeBulk(
+      rows,
+      `/${collection}/bulk_upsert`,
+      (chunk) => ({
+        [collection]: chunk.map(({ args }) => ({
+          unique_identifier: args.unique_identifier,
+          [prefix]: buildPrefixedObject(args, prefix),
+        })),
+      }),
+      (row, record) => record?.id,
+    );
+  } else if (action === "update") {
+    // bulk_update applies one set of changes to many IDs, so rows are
+    // grouped by identical changes; a group of one is a plain update.
+    const groups = new Map();
+    const single = [];
+    for (const row of rows) {
+      if (ROW_ONLY_UPDATE_ARGS.some((k) => isDefined(row.args[k]))) {
+        single.push(row);
+        continue;
+      }
+      const key = JSON.stringify(buildPrefixedObject(row.args, prefix));
+      groups.set(key, [...(groups.get(key) ?? []), row]);
+    }
+    for (const [changes, group] of groups) {
+      if (group.length === 1) {
+        single.push(group[0]);
+        continue;
+      }
+      await writeBulk(
+        group,
+        `/${collection}/bulk_update`,
+        (chunk) => ({ selected_ids: chunk.map((row) => row.id), [prefix]: JSON.parse(changes) }),
+        (row) => row.id,
+      );
+    }
+    await writeRows(single.sort((a, b) => a.index - b.index));
+  } else {
+    await writeRows(rows);
+  }
+  return bulkReport(results);
+}
+
+// Deletes through /<collection>/bulk_destroy, which reports per request, so
+// every ID in a chunk shares that chunk's outcome.
+async function bulkDelete(http, { entity, ids }) {
+  const collection = RECORD_COLLECTIONS[entity];
+  const results = [];
+  for (let start = 0; start < ids.length; start += BULK_DELETE_CHUNK_SIZE) {
+    const chunk = ids.slice(start, start + BULK_DELETE_CHUNK_SIZE);
+    try {
+      await http.post(`/${collection}/bulk_destroy`, { selected_ids: chunk });
+      results.push(...chunk.map((id) => ({ id, success: true })));
+    } catch (error) {
+      const { error: details } = toToolError(error, { name: "freshsales_suite_bulk_delete" });
+      results.push(...chunk.map((id) => ({ id, success: false, error: details })));
+    }
+  }
+  return { ...bulkReport(results), entity };
+}
+
+// ---------------------------------------------------------------------------
+// CSV import
+// ---------------------------------------------------------------------------
+
+const MAX_IMPORT_BYTES = Number(process.env.FRESHSALES_MAX_IMPORT_BYTES) || 5 * 1024 * 1024;
+const IMPORT_PREVIEW_ROWS = 10;
+
+const IMPORT_ENTITIES = {
+  contact: { prefix: "contact", fieldsPath: "/settings/contacts/fields", bulkTool: "freshsales_suite_bulk_upsert_contacts" },
+  sales_account: {
+    prefix: "sales_account",
+    fieldsPath: "/settings/sales_accounts/fields",
+    bulkTool: "freshsales_suite_bulk_upsert_accounts",
+  },
+};
+
+// Mapping target that links each contact to an account by name, creating the
+// account when none matches.
+const ACCOUNT_NAME_TARGET = "account_name";
+const ACCOUNT_NAME_HEADERS = ["account", "accountname", "company", "companyname", "salesaccount", "empresa", "cuenta"];
+
+// Loose on purpose: rejects what is plainly not an address, nothing more.
+const IMPORT_EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Parses CSV text (RFC 4180 quoting, CRLF or LF, optional BOM) into header
+ * names and one object per row. The delimiter is "," or ";" (Excel in many
+ * locales), whichever the header line uses more.
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const headerLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = headerLine.split(";").length > headerLine.split(",").length ? ";" : ",";
+
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || record.length) records.push([...record, cell]);
+
+  const [headers = [], ...rows] = records.filter((r) => r.some((c) => c.trim() !== ""));
+  const names = headers.map((h) => h.trim());
+  return {
+    delimiter,
+    headers: names,
+    rows: rows.map((r) => Object.fromEntries(names.map((h, i) => [h, (r[i] ?? "").trim()]))),
+  };
+}
+
+async function readImportSource(args, { localFiles }) {
+  let text;
+  if (isDefined(args.content)) {
+    text = args.content;
+  } else if (isDefined(args.content_base64)) {
+    text = Buffer.from(args.content_base64, "base64").toString("utf8");
+  } else if (isDefined(args.file_path)) {
+    if (!localFiles) throw new Error("file_path is only available over stdio; pass content or content_base64");
+    const { size } = await fs.stat(args.file_path);
+    if (size > MAX_IMPORT_BYTES) throw new Error(`CSV file is larger than ${MAX_IMPORT_BYTES} bytes`);
+    text = await fs.readFile(args.file_path, "utf8");
+  } else {
+    throw new Error("Pass file_path, content or content_base64");
+  }
+  if (Buffer.byteLength(text) > MAX_IMPORT_BYTES) throw new Error(`CSV is larger than ${MAX_IMPORT_BYTES} bytes`);
+  return text;
+}
+
+const normalizeHeader = (v = "") => v.toString().toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Turns a mapping target into a tool argument: "email", "contact__email",
+// "cf_region" or "custom_field.cf_region" all work.
+function importArgumentFor(target, prefix) {
+  if (target === ACCOUNT_NAME_TARGET) return target;
+  if (target.startsWith(`${prefix}__`)) return target;
+  const field = target.replace(/^custom_field[.:_]+/, "").replace(/\./g, "__");
+  return field.startsWith("cf_") ? `${prefix}__custom_field__${field}` : `${prefix}__${field}`;
+}
+
+// Suggests a target for each column from the account's field labels and
+// names; unmatched columns are left out.
+async function suggestImportMapping(http, entity, headers) {
+  const res = await http.get(IMPORT_ENTITIES[entity].fieldsPath);
+  const fields = Array.isArray(res.data?.fields) ? res.data.fields : [];
+  const byKey = new Map();
+  for (const field of fields) {
+    if (typeof field?.name !== "string") continue;
+    for (const key of [field.label, field.name].map(normalizeHeader).filter(Boolean)) {
+      if (!byKey.has(key)) byKey.set(key, field.name);
+    }
+  }
+
+  const mapping = {};
+  for (const header of headers) {
+    const key = normalizeHeader(header);
+    if (entity === "contact" && ACCOUNT_NAME_HEADERS.includes(key)) {
+      mapping[header] = ACCOUNT_NAME_TARGET;
+      continue;
+    }
+    const match = byKey.get(key) ?? byKey.get(closestMatch(key, [...byKey.keys()]));
+    if (match) mapping[header] = match;
+  }
+  return mapping;
+}
+
+const unwrapSchema = (schema) => {
+  let inner = schema;
+  while (inner?.def?.type === "optional") inner = inner.def.innerType;
+  return inner;
+};
+
+// Builds the upsert arguments for one CSV row; list fields are split on the
+// separator the CSV is not using.
+function importRowArgs(row, mapping, { prefix, shape, listSeparator }) {
+  const args = {};
+  for (const [column, target] of Object.entries(mapping)) {
+    const value = row[column];
+    if (!isDefined(value) || value === "") continue;
+    const argument = importArgumentFor(target, prefix);
+    args[argument] =
+      unwrapSchema(shape[argument])?.def?.type === "array"
+        ? value.split(listSeparator).map((v) => v.trim()).filter(Boolean)
+        : value;
+  }
+  return args;
+}
+
+const IMPORT_DEDUPE_FIELDS = {
+  contact: { email: "emails", external_id: "external_id" },
+  sales_account: { name: "name", external_id: "external_id" },
+};
+
+/**
+ * Imports contacts or accounts from CSV through the bulk upsert path. Rows
+ * are mapped (explicitly or by suggestion), validated, merged when they share
+ * the dedupe key and, for contacts, linked to accounts by name. dry_run
+ * (the default) reports all of that without writing anything.
+ */
+async function importCsv(http, args, context) {
+  const { entity, dry_run: dryRun = true } = args;
+  const config = IMPORT_ENTITIES[entity];
+  const dedupeOn = args.dedupe_on ?? (entity === "contact" ? "email" : "name");
+  const dedupeKey = IMPORT_DEDUPE_FIELDS[entity][dedupeOn];
+  if (!dedupeKey) throw new Error(`dedupe_on must be one of: ${Object.keys(IMPORT_DEDUPE_FIELDS[entity]).join(", ")}`);
+
+  const { headers, rows, delimiter } = parseCsv(await readImportSource(args, context));
+  if (!rows.length) throw new Error("The CSV has no data rows");
+  if (rows.length > MAX_BULK_RECORDS) throw new Error(`The CSV has ${rows.length} rows; the limit is ${MAX_BULK_RECORDS}`);
+
+  const suggested = !args.mapping;
+  const mapping = args.mapping ?? (await suggestImportMapping(http, entity, headers));
+  const unknownColumns = Object.keys(mapping).filter((c) => !headers.includes(c));
+  if (unknownColumns.length) throw new Error(`mapping refers to missing columns: ${unknownColumns.join(", ")}`);
+  if (entity !== "contact" && Object.values(mapping).includes(ACCOUNT_NAME_TARGET)) {
+    throw new Error(`${ACCOUNT_NAME_TARGET} can only be mapped when importing contacts`);
+  }
+
+  const tools = toolDefinitionsFor(await loadFieldSettings(http));
+  const rowSchema = tools.find((t) => t.name === `freshsales_suite_upsert_${entity === "contact" ? "contact" : "account"}`).schema;
+  // The dedupe value comes from the singular argument or from the field the
+  // mapping resolved to, which field settings may name "emails".
+  const dedupeArguments = [...new Set([`${config.prefix}__${dedupeOn}`, `${config.prefix}__${dedupeKey}`])];
+  const dedupeValue = (fields) => {
+    const value = dedupeArguments.map((a) => fields[a]).find(isDefined);
+    return Array.isArray(value) ? value.find((v) => typeof v === "string") : value;
+  };
+  const options = { prefix: config.prefix, shape: rowSchema.shape, listSeparator: delimiter === ";" ? "," : ";" };
+
+  // Validate, then merge rows sharing a dedupe value (later values win).
+  const issues = [];
+  const byKey = new Map();
+  rows.forEach((row, i) => {
+    const rowNumber = i + 1;
+    const { [ACCOUNT_NAME_TARGET]: accountName, ...fields } = importRowArgs(row, mapping, options);
+    const key = dedupeValue(fields);
+    if (!key) {
+      issues.push({ row: rowNumber, error: `Missing ${dedupeOn} (column mapped to ${dedupeArguments.join(" or ")})` });
+      return;
+    }
+    if (dedupeOn === "email" && !IMPORT_EMAIL.test(key)) {
+      issues.push({ row: rowNumber, error: `Invalid email "${key}"` });
+      return;
+    }
+    const candidate = { unique_identifier: { [dedupeKey]: key }, ...fields };
+    const check = rowSchema.safeParse(candidate);
+    if (!check.success) {
+      issues.push({ row: rowNumber, error: toToolError(check.error).error.message });
+      return;
+    }
+    const merged = byKey.get(key.toLowerCase()) ?? { rows: [], args: {} };
+    merged.rows.push(rowNumber);
+    Object.assign(merged.args, candidate);
+    if (accountName) merged.accountName = accountName;
+    byKey.set(key.toLowerCase(), merged);
+  });
+  const records = [...byKey.values()];
+
+  // Accounts are matched by exact name; missing ones are created on commit.
+  const accountNames = [...new Set(records.map((r) => r.accountName).filter(Boolean))];
+  const accounts = { link: [], create: [] };
+  const accountIds = new Map();
+  for (const name of accountNames) {
+    const found = await findAccountInternal(http, "name", name);
+    const exact = found.exact_match && (found.exact_match.name ?? "").toLowerCase() === name.toLowerCase();
+    if (exact) {
+      accounts.link.push({ name, id: found.exact_match.id });
+      accountIds.set(name, found.exact_match.id);
+    } else {
+      accounts.create.push(name);
+    }
+  }
+
+  const summary = {
+    entity,
+    total_rows: rows.length,
+    mapping,
+    mapping_suggested: suggested,
+    unmapped_columns: headers.filter((h) => !(h in mapping)),
+    dedupe_on: dedupeOn,
+    records: records.length,
+    merged_duplicates: rows.length - issues.length - records.length,
+    accounts,
+    issues,
+  };
+
+  if (dryRun) {
+    return {
+      success: true,
+      dry_run: true,
+      ...summary,
+      preview: records.slice(0, IMPORT_PREVIEW_ROWS).map((r) => ({ rows: r.rows, account_name: r.accountName, args: r.args })),
+      next_step: "Review the mapping and run again with dry_run: false (pass mapping to change it) to import.",
+    };
+  }
+
+  // An account that cannot be created fails only the rows linked to it.
+  const accountErrors = new Map();
+  for (const name of accounts.create) {
+    try {
+      const res = await http.post("/sales_accounts", { sales_account: { name } });
+      accountIds.set(name, (res.data.sales_account ?? res.data).id);
+    } catch (error) {
+      const { error: detail } = toToolError(error);
+      accountErrors.set(name, { ...detail, message: `Could not create account "${name}": ${detail.message}` });
+    }
+  }
+  const ready = records.filter((r) => !accountErrors.has(r.accountName));
+  const upserts = ready.map((r) =>
+    r.accountName
+      ? { ...r.args, contact__sales_accounts: [{ id: accountIds.get(r.accountName), is_primary: true }] }
+      : r.args,
+  );
+
+  const written = upserts.length ? (await bulkWrite(http, config.bulkTool, upserts)).results : [];
+  const report = bulkReport([
+    ...written.map(({ index, ...result }) => ({ rows: ready[index].rows, ...result })),
+    ...records
+      .filter((r) => accountErrors.has(r.accountName))
+      .map((r) => ({ rows: r.rows, success: false, error: accountErrors.get(r.accountName) })),
+  ]);
+  const results = report.results.sort((a, b) => a.rows[0] - b.rows[0]);
+  return {
+    ...report,
+    success: report.success && !issues.length,
+    dry_run: false,
+    ...summary,
+    results,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const MAX_EXPORT_RECORDS = Number(process.env.FRESHSALES_MAX_EXPORT_RECORDS) || 10000;
+const EXPORT_MIME_TYPES = { csv: "text/csv", jsonl: "application/x-ndjson" };
+
+// API navigation links, not record data.
+const EXPORT_SKIPPED_KEYS = ["links"];
+
+// Walks a view (through listView cursors) or a filtered search until it runs
+// out or `limit` records are collected.
+async function collectExportRecords(http, args, limit) {
+  const key = RECORD_COLLECTIONS[args.entity];
+  const records = [];
+  let more = true;
+  if (isDefined(args.view_id)) {
+    let cursor = null;
+    while (more && records.length < limit) {
+      const max_records = Math.min(limit - records.length, MAX_VIEW_RECORDS);
+      const page = await listView(
+        http,
+        key,
+        cursor ? { cursor, max_records } : { view_id: args.view_id, max_records, ...pick(args, ["sort", "sort_type"]) },
+      );
+      records.push(...page[key]);
+      cursor = page.next_cursor;
+      more = Boolean(cursor);
+    }
+  } else {
+    let page = 1;
+    while (more && records.length < limit) {
+      const params = { ...pick(args, ["entity", "conditions", "sort", "sort_type"]), page };
+      const result = await filteredSearch(http, { ...params, per_page: FILTERED_SEARCH_MAX_PER_PAGE });
+      records.push(...result[key]);
+      page = result.next_page;
+      more = Boolean(page);
+    }
+  }
+  return { records: records.slice(0, limit), complete: !more && records.length <= limit };
+}
+
+// Flattens a record into dotted columns (custom_field.cf_region, ...). Lists
+// of plain values are joined with "; ", other lists are kept as JSON.
+function flattenRecord(value, prefix = "", out = {}) {
+  for (const [key, v] of Object.entries(value ?? {})) {
+    if (!prefix && EXPORT_SKIPPED_KEYS.includes(key)) continue;
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(v)) {
+      out[column] = v.every((x) => x === null || typeof x !== "object") ? v.join("; ") : JSON.stringify(v);
+    } else if (v && typeof v === "object") {
+      flattenRecord(v, column, out);
+    } else {
+      out[column] = v;
+    }
+  }
+  return out;
+}
+
+// Column headings from the account's field labels; a column whose label is
+// unknown or already taken keeps its path.
+async function exportColumnLabels(http, entity, columns) {
+  const res = await http.get(`/settings/${RECORD_COLLECTIONS[entity]}/fields`);
+  const labels = new Map();
+  for (const field of Array.isArray(res.data?.fields) ? res.data.fields : []) {
+    if (typeof field?.name === "string" && field.label) labels.set(field.name, field.label);
+  }
+
+  const used = new Set();
+  return columns.map((column) => {
+    const label = labels.get(column.replace(/^custom_field\./, ""));
+    const heading = label && !used.has(label) ? label : column;
+    used.add(heading);
+    return heading;
+  });
+}
+
+// Text a spreadsheet would run as a formula is prefixed with an apostrophe.
+// Numbers and phone numbers ("+34 600 111 222", "-5") cannot call anything
+// and are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER_LIKE = /^[+-]?[\d\s().-]+$/;
+
+const csvCell = (value, delimiter) => {
+  if (!isDefined(value)) return "";
+  const neutralize = typeof value === "string" && FORMULA_START.test(value) && !NUMBER_LIKE.test(value);
+  const text = neutralize ? `'${value}` : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Exports every record of a view or filtered search (up to max_records,
+ * capped at FRESHSALES_MAX_EXPORT_RECORDS) as CSV or JSONL, flattened and
+ * headed with field labels. Over stdio the file is written to disk; otherwise
+ * it comes back as an embedded resource.
+ */
+async function exportRecords(http, args, { localFiles }) {
+  const { entity, format = "csv", delimiter = "," } = args;
+  if (!isDefined(args.view_id) && !args.conditions) throw new Error("Pass view_id or conditions");
+  if (isDefined(args.file_path) && !localFiles) {
+    throw new Error("file_path is only available over stdio; the export is returned as a resource");
+  }
+
+  const limit = Math.min(parseId(args.max_records) ?? MAX_EXPORT_RECORDS, MAX_EXPORT_RECORDS);
+  const { records, complete } = await collectExportRecords(http, args, limit);
+  const rows = records.map((record) => flattenRecord(record));
+  const columns = args.columns ?? [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const headings = await exportColumnLabels(http, entity, columns);
+
+  const lines =
+    format === "jsonl"
+      ? rows.map((row) => JSON.stringify(Object.fromEntries(columns.map((c, i) => [headings[i], row[c] ?? null]))))
+      : [headings, ...rows.map((row) => columns.map((c) => row[c]))].map((cells) =>
+          cells.map((cell) => csvCell(cell, delimiter)).join(delimiter),
+        );
+  const text = lines.length ? `${lines.join("\n")}\n` : "";
+
+  const fileName = `freshsales-${RECORD_COLLECTIONS[entity]}-${new Date().toISOString().replace(/[:.]/g, "-")}.${format}`;
+  const summary = { success: true, entity, format, records: rows.length, complete, columns: headings };
+  if (localFiles) {
+    const filePath = path.resolve(args.file_path ?? fileName);
+    await fs.writeFile(filePath, text, { encoding: "utf8", flag: "wx" }).catch((error) => {
+      throw error.code === "EEXIST" ? new Error(`${filePath} already exists; pass a new file_path`) : error;
+    });
+    return { ...summary, file_path: filePath, bytes: Buffer.byteLength(text) };
+  }
+  return {
+    ...summary,
+    resource: { uri: `freshsales://exports/${fileName}`, mimeType: EXPORT_MIME_TYPES[format], text },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Account summary
+// ---------------------------------------------------------------------------
+
+const ACCOUNT_SUMMARY_INCLUDE = "owner,contacts,deals,notes,tasks,appointments";
+const SUMMARY_NOTE_CHARS = 300;
+
+// Side-loaded records sit next to the record, or inside it on some accounts.
+const sideLoaded = (data, key, entity = "sales_account") =>
+  [data?.[key], data?.[entity]?.[key]].find(Array.isArray) ?? [];
+
+const truncate = (text, max) => (typeof text === "string" && text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const dealOutcome = (stage) => {
+  const type = String(stage?.forecast_type ?? "").toLowerCase();
+  if (type.includes("won")) return "won";
+  if (type.includes("lost")) return "lost";
+  return "open";
+};
+
+const sumAmounts = (deals) => deals.reduce((total, d) => total + (Number(d.amount) || 0), 0);
+
+/**
+ * Builds a compact brief of an account (by ID or name): its key fields,
+ * contacts, open and closed deals with stage names, latest notes, open tasks
+ * and upcoming appointments, from one request with include=. Each list keeps
+ * `limit` items and reports its full count.
+ */
+async function accountSummary(http, { account, limit = 5 }) {
+  const byId = Boolean(parseId(account));
+  const found = await findAccountInternal(http, byId ? "account_id" : "name", account);
+  // exact_match falls back to the first search hit; a summary needs the
+  // account that really carries this name.
+  const name = String(account).trim().toLowerCase();
+  const match = byId ? found.exact_match : found.matches.find((m) => (m.name ?? "").trim().toLowerCase() === name);
+  if (!match) {
+    throw found.matches.length
+      ? selectorError("account", `No account is named "${account}"`, found.matches)
+      : new Error(`No account matches "${account}"`);
+  }
+
+  const id = parseId(match.id);
+  const [res, stagesRes] = await Promise.all([
+    http.get(`/sales_accounts/${id}`, { params: { include: ACCOUNT_SUMMARY_INCLUDE } }),
+    http.get("/selector/deal_stages"),
+  ]);
+  const data = res.data ?? {};
+  const record = data.sales_account ?? data;
+  const users = new Map(sideLoaded(data, "users").map((u) => [u.id, u.display_name ?? u.email]));
+  const stages = new Map(selectorEntries(stagesRes.data, "deal_stages").map((st) => [st.id, st]));
+  const now = Date.now();
+
+  const contacts = sideLoaded(data, "contacts");
+  const deals = { open: [], won: [], lost: [] };
+  for (const deal of sideLoaded(data, "deals")) {
+    const stage = stages.get(deal.deal_stage_id);
+    deals[dealOutcome(stage)].push({
+      id: deal.id,
+      name: deal.name,
+      amount: deal.amount,
+      stage: stage?.name,
+      expected_close: deal.expected_close,
+      closed_date: deal.closed_date,
+    });
+  }
+  const notes = sanitizeNoteResponse(sideLoaded(data, "notes"))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  const tasks = sideLoaded(data, "tasks")
+    .filter((t) => Number(t.status) !== 1)
+    .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)));
+  const appointments = sideLoaded(data, "appointments")
+    .filter((a) => Date.parse(a.from_date) >= now)
+    .sort((a, b) => Date.parse(a.from_date) - Date.parse(b.from_date));
+
+  const section = (items, map) => ({ total: items.length, items: items.slice(0, limit).map(map) });
+  const dealSection = (list) => ({ ...section(list, (d) => d), amount: sumAmounts(list) });
+  return {
+    success: true,
+    account: {
+      ...pick(record, ["id", "name", "website", "phone", "city", "country", "annual_revenue", "number_of_employees"]),
+      owner: users.get(record.owner_id) ?? record.owner_id,
+      ...(found.matches.length > 1 ? { other_matches: found.matches.length - 1 } : {}),
+    },
+    contacts: section(contacts, (c) => ({
+      id: c.id,
+      name: c.display_name ?? [c.first_name, c.last_name].filter(Boolean).join(" "),
+      job_title: c.job_title,
+      email: c.email,
+      phone: c.mobile_number ?? c.work_number,
+    })),
+    deals: { open: dealSection(deals.open), won: dealSection(deals.won), lost: dealSection(deals.lost) },
+    notes: section(notes, (n) => ({ id: n.id, created_at: n.created_at, text: truncate(n.description, SUMMARY_NOTE_CHARS) })),
+    open_tasks: section(tasks, (t) => ({ id: t.id, title: t.title, due_date: t.due_date, owner: users.get(t.owner_id) })),
+    upcoming_appointments: section(appointments, (a) => ({
+      id: a.id,
+      title: a.title,
+      from_date: a.from_date,
+      end_date: a.end_date,
+      location: a.location,
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Timeline
+// ---------------------------------------------------------------------------
+
+const TIMELINE_TYPES = ["note", "sales_activity", "call", "task", "appointment", "email"];
+const TIMELINE_INCLUDE = "notes,tasks,appointments,sales_activities";
+const TIMELINE_SUMMARY_CHARS = 200;
+
+// Sales activities of a "Phone"/"Call" or "Email" type count as calls and
+// emails; the rest keep their activity type as the summary prefix.
+const activityKind = (typeName = "") => {
+  if (/call|phone|llamada/i.test(typeName)) return "call";
+  if (/e-?mail|correo/i.test(typeName)) return "email";
+  return "sales_activity";
+};
+
+// Entries of a contact's activity feed (/contacts/:id/activities) worth
+// adding: the emails and calls that exist nowhere else.
+const feedKind = (item) => {
+  const kind = String(item.activity_type ?? item.action_type ?? item.type ?? "");
+  if (/e-?mail|conversation/i.test(kind)) return "email";
+  if (/call|phone/i.test(kind)) return "call";
+  return null;
+};
+
+const firstDefined = (item, keys) => keys.map((k) => item?.[k]).find((v) => isDefined(v) && v !== "");
+
+/**
+ * Merges the notes, sales activities (calls and emails included), tasks and
+ * appointments of a contact, account or deal, plus a contact's activity feed,
+ * into one list of { type, when, who, summary, source_id }, newest first.
+ * Type and date filters apply before paging. Lookups that fail are listed
+ * in missing_sections instead of failing the timeline.
+ */
+async function buildTimeline(http, args) {
+  const { entity, page = 1, per_page = 25 } = args;
+  const id = parseId(args.id);
+  if (!id) throw new Error("id is required");
+  const collection = RECORD_COLLECTIONS[entity];
+
+  // Only the record itself is required. Without owners or activity types the
+  // raw ids are shown; without the feed its emails and calls are left out.
+  const missing = [];
+  const optional = (section, request) =>
+    request.catch(() => {
+      missing.push(section);
+      return null;
+    });
+  const [res, ownersRes, typesRes, feed] = await Promise.all([
+    http.get(`/${collection}/${id}`, { params: { include: TIMELINE_INCLUDE } }),
+    optional("owners", http.get("/selector/owners")),
+    optional("activity_types", http.get("/selector/sales_activity_types")),
+    entity === "contact"
+      ? optional(
+          "activity_feed",
+          http.get(`/contacts/${id}/activities.json`).then((r) => r.data?.activities ?? r.data ?? []),
+        )
+      : [],
+  ]);
+  const data = res.data ?? {};
+  const users = new Map(selectorEntries(ownersRes?.data, "users").map((u) => [u.id, selectorLabel(u)]));
+  const activityTypes = new Map(
+    selectorEntries(typesRes?.data, "sales_activity_types").map((t) => [t.id, selectorLabel(t)]),
+  );
+  const who = (item) => {
+    const userId = firstDefined(item, ["owner_id", "creater_id", "creator_id", "user_id"]);
+    return users.get(userId) ?? userId;
+  };
+  const summary = (...parts) =>
+    truncate(parts.filter(Boolean).join(": ").replace(/\s+/g, " "), TIMELINE_SUMMARY_CHARS);
+
+  const entries = [
+    ...sanitizeNoteResponse(sideLoaded(data, "notes", entity)).map((n) => ({
+      type: "note",
+      when: n.created_at,
+      who: who(n),
+      summary: summary(n.description),
+      source_id: n.id,
+    })),
+    ...sideLoaded(data, "sales_activities", entity).map((a) => {
+      const typeName = activityTypes.get(a.sales_activity_type_id);
+      return {
+        type: activityKind(typeName),
+        when: firstDefined(a, ["start_date", "created_at"]),
+        who: who(a),
+        summary: summary(typeName, a.title, cleanNoteText(a.notes)),
+        source_id: a.id,
+      };
+    }),
+    ...sideLoaded(data, "tasks", entity).map((t) => ({
+      type: "task",
+      when: firstDefined(t, ["due_date", "created_at"]),
+      who: who(t),
+      summary: summary(Number(t.status) === 1 ? "Completed" : "Open", t.title),
+      source_id: t.id,
+    })),
+    ...sideLoaded(data, "appointments", entity).map((a) => ({
+      type: "appointment",
+      when: firstDefined(a, ["from_date", "created_at"]),
+      who: who(a),
+      summary: summary(a.title, a.location),
+      source_id: a.id,
+    })),
+    ...(Array.isArray(feed) ? feed : [])
+      .filter(feedKind)
+      .map((item) => ({
+        type: feedKind(item),
+        when: firstDefined(item, ["created_at", "updated_at"]),
+        who: who(item),
+        summary: summary(cleanNoteText(firstDefined(item, ["subject", "title", "description", "body"]))),
+        source_id: item.id,
+      })),
+  ];
+
+  const from = isDefined(args.from) ? Date.parse(args.from) : -Infinity;
+  // A bare end date covers that whole day.
+  const to = isDefined(args.to) ? Date.parse(args.to) + (/T/.test(args.to) ? 0 : 24 * 60 * 60 * 1000 - 1) : Infinity;
+  const filtered = entries
+    .filter((e) => !args.types || args.types.includes(e.type))
+    .filter((e) => {
+      const time = Date.parse(e.when);
+      return Number.isNaN(time) ? from === -Infinity && to === Infinity : time >= from && time <= to;
+    })
+    .sort((a, b) => (Date.parse(b.when) || 0) - (Date.parse(a.when) || 0));
+
+  const start = (page - 1) * per_page;
+  return {
+    success: true,
+    entity,
+    id,
+    timeline: filtered.slice(start, start + per_page),
+    meta: { total: filtered.length, page, per_page },
+    next_page: start + per_page < filtered.length ? page + 1 : null,
+    ...(missing.length ? { missing_sections: missing } : {}),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Duplicate contacts
+// ---------------------------------------------------------------------------
+
+// Points per kind of shared value; a group scores the sum, capped at 100.
+const DUPLICATE_SIGNALS = { email: 60, phone: 30, name_and_account: 25 };
+const MIN_PHONE_DIGITS = 7;
+
+const normalizeEmail = (v) => (typeof v === "string" && v.includes("@") ? v.trim().toLowerCase() : null);
+
+// Compares the last 9 digits so numbers with and without a country code
+// ("+34 600 111 222", "600111222") match.
+const normalizePhone = (v) => {
+  const digits = String(v ?? "").replace(/\D/g, "");
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-9) : null;
+};
+
+const normalizeName = (v = "") =>
+  v.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const contactEmails = (c) =>
+  [c.email, c.work_email, ...(c.emails ?? []).map((e) => e?.value ?? e?.email ?? e)].map(normalizeEmail).filter(Boolean);
+
+const contactPhones = (c) =>
+  [c.mobile_number, c.work_number, c.phone, ...(c.phone_numbers ?? []).map((p) => p?.value ?? p)]
+    .map(normalizePhone)
+    .filter(Boolean);
+
+const contactAccountId = (c) =>
+  c.sales_account_id ?? (c.sales_accounts ?? []).find((a) => a.is_primary)?.id ?? c.sales_accounts?.[0]?.id;
+
+const contactName = (c) => c.display_name ?? [c.first_name, c.last_name].filter(Boolean).join(" ");
+
+// The keys a contact can collide on, as [signal, value] pairs.
+function duplicateKeys(contact) {
+  const keys = [
+    ...[...new Set(contactEmails(contact))].map((v) => ["email", v]),
+    ...[...new Set(contactPhones(contact))].map((v) => ["phone", v]),
+  ];
+  const name = normalizeName(contactName(contact));
+  const accountId = contactAccountId(contact);
+  if (name && isDefined(accountId)) keys.push(["name_and_account", `${name}|${accountId}`]);
+  return keys;
+}
+
+/**
+ * Groups the contacts of a view or filtered search that share a normalized
+ * email, phone, or name within the same account. Each group gets a score
+ * from the kinds of values shared and a suggested primary: the record with
+ * the most filled fields, then the most recently updated.
+ */
+async function findDuplicateContacts(http, args) {
+  if (!isDefined(args.view_id) && !args.conditions) throw new Error("Pass view_id or conditions");
+  const limit = Math.min(parseId(args.max_records) ?? MAX_VIEW_RECORDS, MAX_EXPORT_RECORDS);
+  const { records, complete } = await collectExportRecords(http, { ...args, entity: "contact" }, limit);
+
+  // Union-find over contacts that share any key.
+  const parent = records.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const firstWithKey = new Map();
+  const shared = new Map();
+  records.forEach((contact, i) => {
+    for (const [signal, value] of duplicateKeys(contact)) {
+      const key = `${signal}:${value}`;
+      if (!firstWithKey.has(key)) {
+        firstWithKey.set(key, i);
+        continue;
+      }
+      parent[root(i)] = root(firstWithKey.get(key));
+      shared.set(key, signal);
+    }
+  });
+
+  const groups = new Map();
+  records.forEach((contact, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, { members: [], signals: new Set() });
+    groups.get(r).members.push(contact);
+  });
+  for (const [key, signal] of shared) groups.get(root(firstWithKey.get(key))).signals.add(signal);
+
+  const filled = (c) => Object.values(c).filter((v) => isDefined(v) && v !== "").length;
+  const minScore = parseId(args.min_score) ?? 0;
+  const duplicates = [...groups.values()]
+    .filter((g) => g.members.length > 1)
+    .map(({ members, signals }) => {
+      const ranked = [...members].sort(
+        (a, b) => filled(b) - filled(a) || String(b.updated_at).localeCompare(String(a.updated_at)),
+      );
+      return {
+        score: Math.min(100, [...signals].reduce((total, s) => total + DUPLICATE_SIGNALS[s], 0)),
+        reasons: [...signals],
+        suggested_primary_id: ranked[0].id,
+        contacts: members.map((c) => ({
+          id: c.id,
+          name: contactName(c),
+          email: c.email,
+          phone: c.mobile_number ?? c.work_number,
+          sales_account_id: contactAccountId(c),
+          updated_at: c.updated_at,
+        })),
+      };
+    })
+    .filter((g) => g.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+
+  return { success: true, scanned: records.length, complete, groups: duplicates.length, duplicates };
+}
+
+// Plain fields a merge can carry over; lists, nested objects and prefixed
+// helpers (sales_account__name) are left to Freshsales.
+const MERGE_FIELDS = Object.entries(CONTACT_FIELDS)
+  .map(([key, schema]) => [key.slice("contact__".length), unwrapSchema(schema)?.def?.type])
+  .filter(([field, type]) => !field.includes("__") && type !== "array" && type !== "record")
+  .map(([field]) => field);
+
+const isBlank = (v) => !isDefined(v) || v === "";
+
+/**
+ * Merges secondary contacts into a primary one with POST /contacts/merge.
+ * The primary's values win; fields it leaves empty take the first secondary
+ * value, which is written back after the merge. dry_run (the default) only
+ * returns that plan.
+ */
+async function mergeContacts(http, { primary_id, secondary_ids, dry_run: dryRun = true }) {
+  const secondaryIds = [...new Set(secondary_ids)].filter((id) => id !== primary_id);
+  if (!secondaryIds.length) throw new Error("secondary_ids must name contacts other than primary_id");
+
+  const [primary, ...secondaries] = await Promise.all(
+    [primary_id, ...secondaryIds].map(async (id) => {
+      const res = await http.get(`/contacts/${id}`);
+      return res.data.contact ?? res.data;
+    }),
+  );
+
+  const fields = [];
+  const updates = {};
+  const customUpdates = {};
+  // Records which value of `key` survives and queues it when the primary
+  // has none.
+  const compare = (key, read, target, label = key) => {
+    const primaryValue = read(primary);
+    const others = secondaries
+      .map((c, i) => ({ id: secondaryIds[i], value: read(c) }))
+      .filter((o) => !isBlank(o.value) && o.value !== primaryValue);
+    if (!others.length) return;
+    const filling = isBlank(primaryValue);
+    const winner = filling ? others[0] : { id: primary_id, value: primaryValue };
+    if (filling) target[key] = winner.value;
+    fields.push({ field: label, value: winner.value, from_id: winner.id, discarded: others.filter((o) => o !== winner) });
+  };
+  for (const field of MERGE_FIELDS) compare(field, (c) => c[field], updates);
+  const customKeys = new Set([primary, ...secondaries].flatMap((c) => Object.keys(c.custom_field ?? {})));
+  for (const key of customKeys) compare(key, (c) => c.custom_field?.[key], customUpdates, `custom_field.${key}`);
+  if (Object.keys(customUpdates).length) updates.custom_field = customUpdates;
+
+  const plan = {
+    primary_id,
+    secondary_ids: secondaryIds,
+    contacts: [primary, ...secondaries].map((c) => ({ id: c.id, name: contactName(c), email: c.email })),
+    fields,
+  };
+  if (dryRun) {
+    return {
+      success: true,
+      dry_run: true,
+      ...plan,
+      next_step: "Run again with dry_run: false to merge; the secondary contacts are removed.",
+    };
+  }
+
+  await http.post("/contacts/merge", { primary_id, secondary_ids: secondaryIds });
+  let contact = primary;
+  if (Object.keys(updates).length) {
+    const res = await http.put(`/contacts/${primary_id}`, { contact: updates });
+    contact = res.data.contact ?? res.data;
+  }
+  return sanitizeNotesInPayload({ success: true, dry_run: false, ...plan, contact });
+}
+
+// ---------------------------------------------------------------------------
+// Custom modules
+// ---------------------------------------------------------------------------
+
+const MODULE_NAME_KEYS = ["entity_name", "name", "singular_name", "plural_name", "display_name", "label"];
+
+const moduleEntityName = (module) => module.entity_name ?? module.name;
+
+// Custom module entity names start with "cm_".
+const isCustomModule = (module) => module.custom === true || /^cm_/.test(moduleEntityName(module) ?? "");
+
+// Records come back under the module's entity name.
+const moduleRecord = (data, moduleName) => data?.[moduleName] ?? data?.record ?? data;
+
+const modulePath = (moduleName) => `/custom_module/${encodeURIComponent(moduleName)}`;
+
+async function fetchCustomModules(http) {
+  const res = await http.get("/settings/module_customizations");
+  return selectorEntries(res.data, "module_customizations").filter(isCustomModule);
+}
+
+/**
+ * Resolves a custom module given by entity name (cm_project) or by its
+ * singular or plural label (Project, Projects) to the entity name. Entity
+ * names are used as given, and so is any name when the module list cannot
+ * be read or has no match; only a likely typo is refused, with a suggestion.
+ */
+async function resolveCustomModule(http, moduleName) {
+  if (/^cm_/.test(moduleName)) return moduleName;
+  let modules;
+  try {
+    modules = await fetchCustomModules(http);
+  } catch {
+    return moduleName;
+  }
+  const wanted = normalizeHeader(moduleName);
+  const match = modules.find((m) => MODULE_NAME_KEYS.some((k) => wanted && normalizeHeader(m[k] ?? "") === wanted));
+  if (match) return moduleEntityName(match);
+
+  const suggestion = closestMatch(moduleName, modules.map(moduleEntityName));
+  if (!suggestion) return moduleName;
+  throw selectorError(
+    "module_name",
+    `Unknown custom module "${moduleName}". Did you mean "${suggestion}"?`,
+    modules.map((m) => ({ id: m.id, name: moduleEntityName(m) })),
+  );
+}
+
+const compactField = (field) => {
+  const choices = choiceValues(field);
+  return {
+    ...pick(field, ["name", "label", "type", "required"]),
+    custom: field.default === false,
+    ...(choices.length ? { choices } : {}),
+  };
 };
 
+// Lists the account's custom modules, with their fields for one module or
+// when include_fields is set.
+async function listCustomModules(http, args) {
+  let modules = await fetchCustomModules(http);
+  if (args.module_name) {
+    const moduleName = await resolveCustomModule(http, args.module_name);
+    modules = modules.filter((m) => moduleEntityName(m) === moduleName);
+  }
+  const withFields = Boolean(args.module_name) || Boolean(args.include_fields);
+  const result = await Promise.all(
+    modules.map(async (module) => {
+      const entityName = moduleEntityName(module);
+      const summary = {
+        id: module.id,
+        entity_name: entityName,
+        ...pick(module, ["singular_name", "plural_name", "display_name"]),
+      };
+      if (!withFields) return summary;
+      const res = await http.get(`/settings/${entityName}/fields`);
+      const fields = Array.isArray(res.data?.fields) ? res.data.fields : [];
+      return { ...summary, fields: fields.map(compactField) };
+    }),
+  );
+  return { success: true, modules: result };
+}
+
 // ---------------------------------------------------------------------------
-// TOOL DEFINITIONS
+// Documents
 // ---------------------------------------------------------------------------
 
-export function getTools() {
-  return [
-    // ── Contacts ──────────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_contact",
-      description: "Crea un nuevo contacto en Freshsales Suite.",
-      inputSchema: createSchema(CONTACT_FIELDS),
-    },
-    {
-      name: "freshsales_suite_update_contact",
-      description: "Actualiza un contacto existente en Freshsales Suite.",
-      inputSchema: createSchema(
-        {
-          update_by: { ...STR, description: "Campo para buscar: contact_id, email, phone, mobile, external_id" },
-          value_for_update_by: { ...NUM_STR, description: "Valor del campo de busqueda" },
-          list_operation: STR,
-          list_name: STR,
-          lifecycle_stage: { type: ["string", "object"] },
-          ...CONTACT_FIELDS,
-        },
-        ["update_by", "value_for_update_by"],
-      ),
-    },
-    {
-      name: "freshsales_suite_find_contact_by_unique_fields",
-      description:
-        "Busca un contacto por campos unicos (ID, email, telefono, external_id). Usa el endpoint /lookup para busquedas exactas por campo.",
-      inputSchema: createSchema(
-        {
-          search_by: { ...STR, description: "Campo de busqueda: contact_id, email, phone, mobile, external_id" },
-          value_for_find_by: NUM_STR,
-        },
-        ["search_by", "value_for_find_by"],
-      ),
-    },
-    {
-      name: "freshsales_suite_delete_contact",
-      description: "Elimina un contacto por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-    {
-      name: "freshsales_suite_list_contacts",
-      description:
-        "Lista contactos de una vista. Requiere view_id (obtener con freshsales_suite_list_contact_filters).",
-      inputSchema: createSchema({
-        view_id: { ...NUM_STR, description: "ID de la vista/filtro" },
-        page: { ...NUM_STR, description: "Pagina (por defecto 1, 25 items por pagina)" },
-        sort: { ...STR, description: "Campo de ordenamiento: lead_score, created_at, updated_at, open_deals_amount, last_contacted" },
-        sort_type: { ...STR, description: "asc o desc" },
-      }, ["view_id"]),
-    },
-    {
-      name: "freshsales_suite_list_contact_filters",
-      description: "Lista las vistas/filtros disponibles para contactos.",
-      inputSchema: createSchema({}),
-    },
-    {
-      name: "freshsales_suite_list_contact_fields",
-      description: "Lista todos los campos disponibles para contactos, incluyendo campos personalizados.",
-      inputSchema: createSchema({
-        include: { ...STR, description: "Incluir grupo de campos: field_group" },
-      }),
-    },
-    {
-      name: "freshsales_suite_upsert_contact",
-      description:
-        "Crea o actualiza un contacto. Si el identificador unico coincide, actualiza; si no, crea uno nuevo.",
-      inputSchema: createSchema(
-        {
-          unique_identifier: {
-            type: "object",
-            description: "Identificador unico, ej: { emails: 'email@test.com' } o { id: 123 }",
-          },
-          ...CONTACT_FIELDS,
-        },
-        ["unique_identifier"],
-      ),
-    },
-    {
-      name: "freshsales_suite_list_contact_activities",
-      description: "Lista las actividades de un contacto.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
+const MAX_DOCUMENT_BYTES = Number(process.env.FRESHSALES_MAX_DOCUMENT_BYTES) || 20 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+// Uploads from a URL are fetched by the server, so addresses on its own
+// networks (loopback, private, link-local, cloud metadata) and non-unicast
+// ranges are refused.
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
 
-    // ── Accounts ──────────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_account",
-      description: "Crea una nueva cuenta (empresa/organizacion).",
-      inputSchema: createSchema(ACCOUNT_FIELDS),
-    },
-    {
-      name: "freshsales_suite_update_account",
-      description: "Actualiza una cuenta existente.",
-      inputSchema: createSchema(
-        {
-          update_by: { ...STR, description: "Campo: account_id, id, name" },
-          value_for_update_by: NUM_STR,
-          ...ACCOUNT_FIELDS,
-        },
-        ["update_by", "value_for_update_by"],
-      ),
-    },
-    {
-      name: "freshsales_suite_find_account",
-      description: "Busca una cuenta existente por ID o nombre.",
-      inputSchema: createSchema(
-        { search_by: STR, value_for_find_by: NUM_STR },
-        ["search_by", "value_for_find_by"],
-      ),
-    },
-    {
-      name: "freshsales_suite_delete_account",
-      description: "Elimina una cuenta por ID.",
-      inputSchema: createSchema(
-        { id: NUM_STR, delete_associated_contacts_deals: BOOL_STR },
-        ["id"],
-      ),
-    },
-    {
-      name: "freshsales_suite_list_accounts",
-      description: "Lista cuentas de una vista.",
-      inputSchema: createSchema({
-        view_id: NUM_STR,
-        page: NUM_STR,
-        sort: { ...STR, description: "open_deals_amount, created_at, updated_at, last_contacted" },
-        sort_type: STR,
-      }, ["view_id"]),
-    },
-    {
-      name: "freshsales_suite_list_account_filters",
-      description: "Lista las vistas/filtros disponibles para cuentas.",
-      inputSchema: createSchema({}),
-    },
-    {
-      name: "freshsales_suite_list_account_fields",
-      description: "Lista todos los campos disponibles para cuentas.",
-      inputSchema: createSchema({ include: STR }),
-    },
-    {
-      name: "freshsales_suite_upsert_account",
-      description: "Crea o actualiza una cuenta (upsert).",
-      inputSchema: createSchema(
-        { unique_identifier: { type: "object" }, ...ACCOUNT_FIELDS },
-        ["unique_identifier"],
-      ),
-    },
+const isPrivateAddress = (address, family = isIP(address)) =>
+  PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
 
-    // ── Deals ─────────────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_deal",
-      description: "Crea una nueva oportunidad de venta (deal).",
-      inputSchema: createSchema(DEAL_FIELDS),
-    },
-    {
-      name: "freshsales_suite_update_deal",
-      description: "Actualiza un deal existente.",
-      inputSchema: createSchema(
-        { value_for_update_by: { ...NUM_STR, description: "Deal ID" }, ...DEAL_FIELDS },
-        ["value_for_update_by"],
-      ),
-    },
-    {
-      name: "freshsales_suite_find_deal",
-      description: "Busca un deal por ID o nombre.",
-      inputSchema: createSchema(
-        { find_by_name_or_id: STR, value_for_find_deal: NUM_STR },
-        ["find_by_name_or_id", "value_for_find_deal"],
-      ),
-    },
-    {
-      name: "freshsales_suite_delete_deal",
-      description: "Elimina un deal por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-    {
-      name: "freshsales_suite_list_deals",
-      description: "Lista deals de una vista.",
-      inputSchema: createSchema({
-        view_id: NUM_STR,
-        page: NUM_STR,
-        sort: STR,
-        sort_type: STR,
-      }, ["view_id"]),
-    },
-    {
-      name: "freshsales_suite_list_deal_filters",
-      description: "Lista las vistas/filtros disponibles para deals.",
-      inputSchema: createSchema({}),
-    },
-    {
-      name: "freshsales_suite_list_deal_fields",
-      description: "Lista todos los campos disponibles para deals.",
-      inputSchema: createSchema({}),
-    },
-    {
-      name: "freshsales_suite_upsert_deal",
-      description: "Crea o actualiza un deal (upsert).",
-      inputSchema: createSchema(
-        { unique_identifier: { type: "object" }, ...DEAL_FIELDS },
-        ["unique_identifier"],
-      ),
-    },
+// The check runs inside the socket's own lookup, so the address that was
+// checked is the one connected to; a second resolution could differ.
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some((a) => isPrivateAddress(a.address, a.family))) {
+      return callback(Object.assign(new Error("url points to a private network address"), { code: "EPRIVATE" }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const downloadAgent = new https.Agent({ lookup: checkedLookup });
+
+const UPLOAD_SOURCES = ["file_path", "content_base64", "resource", "url"];
+
+// Fetches a file from outside Freshsales: https only, checked against
+// PRIVATE_ADDRESSES at connect time and capped at MAX_DOCUMENT_BYTES.
+async function fetchExternalFile(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("url is not a valid URL");
+  }
+  if (parsed.protocol !== "https:") throw new Error("url must use https");
+  // IP literals connect without a lookup, so they are checked here.
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (isIP(host) && isPrivateAddress(host)) throw new Error("url points to a private network address");
+  // Redirects are not followed and proxies are not used: either would
+  // connect somewhere other than the checked address.
+  const res = await axios
+    .get(parsed.href, {
+      responseType: "arraybuffer",
+      maxContentLength: MAX_DOCUMENT_BYTES,
+      maxRedirects: 0,
+      proxy: false,
+      httpsAgent: downloadAgent,
+      timeout: DOWNLOAD_TIMEOUT_MS,
+    })
+    .catch((error) => {
+      throw error.code === "EPRIVATE" || error.cause?.code === "EPRIVATE"
+        ? new Error("url points to a private network address")
+        : error;
+    });
+  return { res, parsed };
+}
+
+async function downloadForUpload(url) {
+  const { res, parsed } = await fetchExternalFile(url);
+  return {
+    buffer: Buffer.from(res.data),
+    mimeType: res.headers["content-type"]?.split(";")[0],
+    fileName: decodeURIComponent(path.posix.basename(parsed.pathname)),
+  };
+}
+
+// Reads the file to upload from exactly one of UPLOAD_SOURCES. An MCP
+// resource carries base64 `blob` or plain `text` contents.
+async function readUploadSource(args, { localFiles }) {
+  const given = UPLOAD_SOURCES.filter((k) => isDefined(args[k]));
+  if (given.length !== 1) throw new Error(`Pass exactly one of: ${UPLOAD_SOURCES.join(", ")}`);
+
+  let file;
+  switch (given[0]) {
+    case "file_path": {
+      if (!localFiles) throw new Error("file_path is only available over stdio; pass content_base64, resource or url");
+      const { size } = await fs.stat(args.file_path);
+      if (size > MAX_DOCUMENT_BYTES) throw new Error(`File is larger than ${MAX_DOCUMENT_BYTES} bytes`);
+      file = { buffer: await fs.readFile(args.file_path), fileName: path.basename(args.file_path) };
+      break;
+    }
+    case "content_base64":
+      file = { buffer: Buffer.from(args.content_base64, "base64") };
+      break;
+    case "resource": {
+      const { uri, mimeType, blob, text } = args.resource;
+      if (!isDefined(blob) && !isDefined(text)) throw new Error("resource must carry blob or text contents");
+      file = {
+        buffer: isDefined(blob) ? Buffer.from(blob, "base64") : Buffer.from(text, "utf8"),
+        mimeType,
+        fileName: uri ? path.posix.basename(uri.replace(/[?#].*$/, "")) : undefined,
+      };
+      break;
+    }
+    default:
+      file = await downloadForUpload(args.url);
+  }
+  if (file.buffer.length > MAX_DOCUMENT_BYTES) throw new Error(`File is larger than ${MAX_DOCUMENT_BYTES} bytes`);
+
+  const fileName = args.file_name || file.fileName;
+  if (!fileName) throw new Error("file_name is required for this source");
+  return { ...file, fileName, mimeType: args.mime_type ?? file.mimeType };
+}
+
+async function uploadDocument(http, args, context) {
+  const { buffer, fileName, mimeType } = await readUploadSource(args, context);
+  const form = new FormData();
+  form.append("file", new Blob([buffer], mimeType ? { type: mimeType } : {}), fileName);
+  form.append("targetable_type", mapTargetableType(args.select_one_module));
+  form.append("targetable_id", String(args.unique_identifier));
+  if (isDefined(args.share_with_team)) form.append("share_with_team", String(args.share_with_team));
+  // The client defaults to JSON; axios adds the multipart boundary itself.
+  const res = await http.post("/documents", form, { headers: { "Content-Type": "multipart/form-data" } });
+  return sanitizeNotesInPayload({ success: true, file: res.data.document ?? res.data });
+}
+
+/**
+ * Fetches a document's file and returns it as an embedded resource. The API
+ * key is only sent when the file is served by the Freshsales domain itself,
+ * not to the storage URLs documents may point at.
+ */
+async function getDocument(http, id) {
+  const res = await http.get(`/documents/${id}`);
+  const document = res.data.document ?? res.data;
+  const url = document.url ?? document.download_url ?? document.file_url;
+  if (!url) throw new Error(`Document ${id} has no file to download (links cannot be fetched)`);
+
+  // Files on other hosts (document storage, or whatever a link points at)
+  // go through the same address checks as URL uploads.
+  const absolute = /^https?:\/\//i.test(url);
+  const sameOrigin = !absolute || new URL(url).origin === new URL(http.defaults.baseURL).origin;
+  const options = { responseType: "arraybuffer", maxContentLength: MAX_DOCUMENT_BYTES, timeout: DOWNLOAD_TIMEOUT_MS };
+  const file = sameOrigin ? await http.get(url, options) : (await fetchExternalFile(url)).res;
+
+  const mimeType =
+    file.headers["content-type"]?.split(";")[0] ?? document.content_type ?? "application/octet-stream";
+  return {
+    success: true,
+    document: pick(document, ["id", "name", "content_type", "content_file_size", "created_at", "is_shared"]),
+    resource: { uri: `freshsales://documents/${id}`, mimeType, blob: Buffer.from(file.data).toString("base64") },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// TOOL DEFINITIONS
+// ---------------------------------------------------------------------------
 
-    // ── Tasks ─────────────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_task",
-      description: "Crea una tarea en Freshsales Suite.",
-      inputSchema: createSchema({
+// Each tool's arguments are a zod schema: getTools() advertises it as JSON
+// Schema and runTool parses (and coerces) arguments with it. The record field
+// groups default to the static ones (see loadFieldSettings).
+const buildToolDefinitions = ({
+  contact: contactFields = CONTACT_FIELDS,
+  sales_account: accountFields = ACCOUNT_FIELDS,
+  deal: dealFields = DEAL_FIELDS,
+} = {}) => [
+  // ── Contacts ──────────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_contact",
+    description: "Crea un nuevo contacto en Freshsales Suite.",
+    schema: createSchema(contactFields),
+  },
+  {
+    name: "freshsales_suite_update_contact",
+    description: "Actualiza un contacto existente en Freshsales Suite.",
+    schema: createSchema(
+      {
+        update_by: STR.describe("Campo para buscar: contact_id, email, phone, mobile, external_id"),
+        value_for_update_by: ID_OR_STR.describe("Valor del campo de busqueda"),
+        list_operation: STR,
+        list_name: STR,
+        lifecycle_stage: z.union([STR, JSON_OBJECT]),
+        ...contactFields,
+      },
+      ["update_by", "value_for_update_by"],
+    ),
+  },
+  {
+    name: "freshsales_suite_find_contact_by_unique_fields",
+    description:
+      "Busca un contacto por campos unicos (ID, email, telefono, external_id). Usa el endpoint /lookup para busquedas exactas por campo.",
+    schema: createSchema(
+      {
+        search_by: STR.describe("Campo de busqueda: contact_id, email, phone, mobile, external_id"),
+        value_for_find_by: ID_OR_STR,
+      },
+      ["search_by", "value_for_find_by"],
+    ),
+  },
+  {
+    name: "freshsales_suite_find_duplicate_contacts",
+    description:
+      "Busca contactos duplicados en una vista (view_id) o busqueda por condiciones: mismo email, telefono " +
+      "o nombre en la misma cuenta. Devuelve grupos con puntuacion (0-100) y un contacto principal sugerido.",
+    schema: createSchema(
+      {
+        view_id: NUM_STR.describe("ID de la vista de contactos a revisar"),
+        conditions: FILTER_CONDITIONS.describe("Condiciones como en freshsales_suite_filtered_search (en lugar de view_id)"),
+        max_records: NUM_STR.describe("Maximo de contactos a revisar (por defecto 1000)"),
+        min_score: NUM_STR.describe("Puntuacion minima de los grupos devueltos (email 60, telefono 30, nombre+cuenta 25)"),
+      },
+    ),
+  },
+  {
+    name: "freshsales_suite_merge_contacts",
+    description:
+      "Fusiona contactos secundarios en uno principal (se mantienen los valores del principal y sus campos vacios " +
+      "se completan con los de los secundarios). Por defecto es una vista previa (dry_run); repetir con " +
+      "dry_run: false para fusionar. Los secundarios se eliminan.",
+    schema: createSchema(
+      {
+        primary_id: NUM_STR,
+        secondary_ids: NUM_ARR.min(1),
+        dry_run: BOOL_STR.describe("true (por defecto) solo muestra que valores se conservan"),
+      },
+      ["primary_id", "secondary_ids"],
+    ),
+  },
+  {
+    name: "freshsales_suite_delete_contact",
+    description: "Elimina un contacto por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+  {
+    name: "freshsales_suite_list_contacts",
+    description:
+      "Lista contactos de una vista. Requiere view_id (obtener con freshsales_suite_list_contact_filters) " +
+      "o el cursor de una llamada anterior.",
+    schema: createSchema({
+      view_id: NUM_STR.describe("ID de la vista/filtro"),
+      page: NUM_STR.describe("Pagina (por defecto 1, 25 items por pagina)"),
+      sort: STR.describe("Campo de ordenamiento: lead_score, created_at, updated_at, open_deals_amount, last_contacted"),
+      sort_type: STR.describe("asc o desc"),
+      ...PAGINATION_FIELDS,
+    }),
+  },
+  {
+    name: "freshsales_suite_list_contact_filters",
+    description: "Lista las vistas/filtros disponibles para contactos.",
+    schema: createSchema({}),
+  },
+  {
+    name: "freshsales_suite_list_contact_fields",
+    description: "Lista todos los campos disponibles para contactos, incluyendo campos personalizados.",
+    schema: createSchema({
+      include: STR.describe("Incluir grupo de campos: field_group"),
+    }),
+  },
+  {
+    name: "freshsales_suite_upsert_contact",
+    description:
+      "Crea o actualiza un contacto. Si el identificador unico coincide, actualiza; si no, crea uno nuevo.",
+    schema: createSchema(
+      {
+        unique_identifier: JSON_OBJECT.describe(
+          "Identificador unico, ej: { emails: 'email@test.com' } o { id: 123 }",
+        ),
+        ...contactFields,
+      },
+      ["unique_identifier"],
+    ),
+  },
+  {
+    name: "freshsales_suite_list_contact_activities",
+    description: "Lista las actividades de un contacto.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+
+  // ── Accounts ──────────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_account",
+    description: "Crea una nueva cuenta (empresa/organizacion).",
+    schema: createSchema(accountFields),
+  },
+  {
+    name: "freshsales_suite_update_account",
+    description: "Actualiza una cuenta existente.",
+    schema: createSchema(
+      {
+        update_by: STR.describe("Campo: account_id, id, name"),
+        value_for_update_by: ID_OR_STR,
+        ...accountFields,
+      },
+      ["update_by", "value_for_update_by"],
+    ),
+  },
+  {
+    name: "freshsales_suite_find_account",
+    description: "Busca una cuenta existente por ID o nombre.",
+    schema: createSchema(
+      { search_by: STR, value_for_find_by: ID_OR_STR },
+      ["search_by", "value_for_find_by"],
+    ),
+  },
+  {
+    name: "freshsales_suite_get_account_summary",
+    description:
+      "Resumen de una cuenta (por ID o nombre) en una sola llamada: datos principales, contactos, " +
+      "deals abiertos y cerrados con su etapa, ultimas notas, tareas pendientes y proximas reuniones.",
+    schema: createSchema(
+      {
+        account: ID_OR_STR.describe("ID o nombre de la cuenta"),
+        limit: NUM_STR.describe("Elementos por seccion (por defecto 5)"),
+      },
+      ["account"],
+    ),
+  },
+  {
+    name: "freshsales_suite_get_timeline",
+    description:
+      "Historial cronologico (mas reciente primero) de un contacto, cuenta o deal: notas, actividades, llamadas, " +
+      "tareas, reuniones y emails con un formato comun (type, when, who, summary, source_id). Las consultas " +
+      "auxiliares que fallen (owners, activity_types, activity_feed) se indican en missing_sections.",
+    schema: createSchema(
+      {
+        entity: z.enum(["contact", "sales_account", "deal"]),
+        id: NUM_STR,
+        types: z.array(z.enum(TIMELINE_TYPES)).describe("Tipos a incluir (por defecto todos)"),
+        from: DATETIME.describe("Desde (YYYY-MM-DD o ISO 8601)"),
+        to: DATETIME.describe("Hasta, inclusive (YYYY-MM-DD o ISO 8601)"),
+        page: NUM_STR.describe("Pagina (por defecto 1)"),
+        per_page: NUM_STR.describe("Entradas por pagina (por defecto 25)"),
+      },
+      ["entity", "id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_delete_account",
+    description: "Elimina una cuenta por ID.",
+    schema: createSchema(
+      { id: NUM_STR, delete_associated_contacts_deals: BOOL_STR },
+      ["id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_list_accounts",
+    description: "Lista cuentas de una vista (view_id o cursor de una llamada anterior).",
+    schema: createSchema({
+      view_id: NUM_STR,
+      page: NUM_STR,
+      sort: STR.describe("open_deals_amount, created_at, updated_at, last_contacted"),
+      sort_type: STR,
+      ...PAGINATION_FIELDS,
+    }),
+  },
+  {
+    name: "freshsales_suite_list_account_filters",
+    description: "Lista las vistas/filtros disponibles para cuentas.",
+    schema: createSchema({}),
+  },
+  {
+    name: "freshsales_suite_list_account_fields",
+    description: "Lista todos los campos disponibles para cuentas.",
+    schema: createSchema({ include: STR }),
+  },
+  {
+    name: "freshsales_suite_upsert_account",
+    description: "Crea o actualiza una cuenta (upsert).",
+    schema: createSchema(
+      { unique_identifier: JSON_OBJECT, ...accountFields },
+      ["unique_identifier"],
+    ),
+  },
+
+  // ── Deals ─────────────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_deal",
+    description: "Crea una nueva oportunidad de venta (deal).",
+    schema: createSchema(dealFields),
+  },
+  {
+    name: "freshsales_suite_update_deal",
+    description: "Actualiza un deal existente.",
+    schema: createSchema(
+      { value_for_update_by: NUM_STR.describe("Deal ID"), ...dealFields },
+      ["value_for_update_by"],
+    ),
+  },
+  {
+    name: "freshsales_suite_find_deal",
+    description: "Busca un deal por ID o nombre.",
+    schema: createSchema(
+      { find_by_name_or_id: STR, value_for_find_deal: ID_OR_STR },
+      ["find_by_name_or_id", "value_for_find_deal"],
+    ),
+  },
+  {
+    name: "freshsales_suite_delete_deal",
+    description: "Elimina un deal por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+  {
+    name: "freshsales_suite_list_deals",
+    description: "Lista deals de una vista (view_id o cursor de una llamada anterior).",
+    schema: createSchema({
+      view_id: NUM_STR,
+      page: NUM_STR,
+      sort: STR,
+      sort_type: STR,
+      ...PAGINATION_FIELDS,
+    }),
+  },
+  {
+    name: "freshsales_suite_list_deal_filters",
+    description: "Lista las vistas/filtros disponibles para deals.",
+    schema: createSchema({}),
+  },
+  {
+    name: "freshsales_suite_list_deal_fields",
+    description: "Lista todos los campos disponibles para deals.",
+    schema: createSchema({}),
+  },
+  {
+    name: "freshsales_suite_upsert_deal",
+    description: "Crea o actualiza un deal (upsert).",
+    schema: createSchema(
+      { unique_identifier: JSON_OBJECT, ...dealFields },
+      ["unique_identifier"],
+    ),
+  },
+
+  // ── Tasks ─────────────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_task",
+    description: "Crea una tarea en Freshsales Suite.",
+    schema: createSchema({
+      title: STR,
+      description: STR,
+      due_date: DATE.describe("Due date in YYYY-MM-DD format"),
+      due_time: TIME.describe("Due time in HH:MM (24-hour) format, e.g. '14:30'. Combined with due_date when provided."),
+      owner_id: ID_OR_LABEL,
+      status: NUM_STR.describe("0 = Open, 1 = Completed"),
+      task_type_id: NUM_STR,
+      outcome_id: NUM_STR,
+      targetable_type: STR.describe("Contact, Deal, SalesAccount"),
+      targetable_id: NUM_STR,
+      collaborators: NUM_ARR,
+    }),
+  },
+  {
+    name: "freshsales_suite_update_task",
+    description: "Actualiza una tarea existente.",
+    schema: createSchema(
+      {
+        id: NUM_STR,
         title: STR,
         description: STR,
-        due_date: { ...STR, description: "Due date in YYYY-MM-DD format" },
-        due_time: { ...STR, description: "Due time in HH:MM (24-hour) format, e.g. '14:30'. Combined with due_date when provided." },
-        owner_id: NUM_STR,
-        status: { ...NUM_STR, description: "0 = Open, 1 = Completed" },
+        due_date: DATE.describe("Due date in YYYY-MM-DD format"),
+        due_time: TIME.describe("Due time in HH:MM (24-hour) format, e.g. '14:30'. Combined with due_date when provided."),
+        owner_id: ID_OR_LABEL,
+        status: NUM_STR,
         task_type_id: NUM_STR,
         outcome_id: NUM_STR,
-        targetable_type: { ...STR, description: "Contact, Deal, SalesAccount" },
+        targetable_type: STR,
         targetable_id: NUM_STR,
-        collaborators: NUM_ARR,
-      }),
-    },
-    {
-      name: "freshsales_suite_update_task",
-      description: "Actualiza una tarea existente.",
-      inputSchema: createSchema(
-        {
-          id: NUM_STR,
-          title: STR,
-          description: STR,
-          due_date: { ...STR, description: "Due date in YYYY-MM-DD format" },
-          due_time: { ...STR, description: "Due time in HH:MM (24-hour) format, e.g. '14:30'. Combined with due_date when provided." },
-          owner_id: NUM_STR,
-          status: NUM_STR,
-          task_type_id: NUM_STR,
-          outcome_id: NUM_STR,
-          targetable_type: STR,
-          targetable_id: NUM_STR,
-        },
-        ["id"],
-      ),
-    },
-    {
-      name: "freshsales_suite_find_task",
-      description: "Obtiene los detalles de una tarea por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-    {
-      name: "freshsales_suite_list_tasks",
-      description: "Lista tareas con filtro opcional.",
-      inputSchema: createSchema({
-        filter: { ...STR, description: "Filtro: open, due_today, due_tomorrow, overdue, completed" },
-        page: NUM_STR,
-        include: { ...STR, description: "Relaciones a incluir, ej: owner,users,targetable" },
-      }),
-    },
-    {
-      name: "freshsales_suite_delete_task",
-      description: "Elimina una tarea por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-    {
-      name: "freshsales_suite_mark_task_done",
-      description: "Marca una tarea como completada.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-
-    // ── Appointments ──────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_meeting",
-      description: "Crea una reunion/cita (appointment).",
-      inputSchema: createSchema({
+      },
+      ["id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_find_task",
+    description: "Obtiene los detalles de una tarea por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+  {
+    name: "freshsales_suite_list_tasks",
+    description: "Lista tareas con filtro opcional.",
+    schema: createSchema({
+      filter: STR.describe("Filtro: open, due_today, due_tomorrow, overdue, completed"),
+      page: NUM_STR,
+      include: STR.describe("Relaciones a incluir, ej: owner,users,targetable"),
+    }),
+  },
+  {
+    name: "freshsales_suite_delete_task",
+    description: "Elimina una tarea por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+  {
+    name: "freshsales_suite_mark_task_done",
+    description: "Marca una tarea como completada.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+
+  // ── Appointments ──────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_meeting",
+    description: "Crea una reunion/cita (appointment).",
+    schema: createSchema({
+      title: STR,
+      description: STR,
+      from_date: DATETIME.describe("Fecha/hora inicio (ISO 8601)"),
+      end_date: DATETIME.describe("Fecha/hora fin (ISO 8601)"),
+      time_zone: STR,
+      location: STR,
+      targetable_type: STR.describe("Contact, Deal, SalesAccount"),
+      targetable_id: NUM_STR,
+      attendees: z.array(JSON_OBJECT).describe("Lista de asistentes"),
+    }),
+  },
+  {
+    name: "freshsales_suite_update_meeting",
+    description: "Actualiza una reunion existente.",
+    schema: createSchema(
+      {
+        id: NUM_STR,
         title: STR,
         description: STR,
-        from_date: { ...STR, description: "Fecha/hora inicio (ISO 8601)" },
-        end_date: { ...STR, description: "Fecha/hora fin (ISO 8601)" },
+        from_date: DATETIME,
+        end_date: DATETIME,
         time_zone: STR,
         location: STR,
-        targetable_type: { ...STR, description: "Contact, Deal, SalesAccount" },
+        targetable_type: STR,
         targetable_id: NUM_STR,
-        attendees: { type: "array", items: { type: "object" }, description: "Lista de asistentes" },
-      }),
-    },
-    {
-      name: "freshsales_suite_update_meeting",
-      description: "Actualiza una reunion existente.",
-      inputSchema: createSchema(
-        {
-          id: NUM_STR,
-          title: STR,
-          description: STR,
-          from_date: STR,
-          end_date: STR,
-          time_zone: STR,
-          location: STR,
-          targetable_type: STR,
-          targetable_id: NUM_STR,
-          attendees: { type: "array", items: { type: "object" } },
-        },
-        ["id"],
-      ),
-    },
-    {
-      name: "freshsales_suite_find_meeting",
-      description: "Obtiene los detalles de una reunion por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-    {
-      name: "freshsales_suite_list_meetings",
-      description: "Lista reuniones con filtro opcional.",
-      inputSchema: createSchema({
-        filter: { ...STR, description: "Filtro: upcoming, past" },
-        page: NUM_STR,
-        include: STR,
-      }),
-    },
-    {
-      name: "freshsales_suite_delete_meeting",
-      description: "Elimina una reunion por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-
-    // ── Sales Activities ──────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_custom_sales_activity",
-      description: "Crea una actividad de venta.",
-      inputSchema: createSchema({
+        attendees: z.array(JSON_OBJECT),
+      },
+      ["id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_find_meeting",
+    description: "Obtiene los detalles de una reunion por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+  {
+    name: "freshsales_suite_list_meetings",
+    description: "Lista reuniones con filtro opcional.",
+    schema: createSchema({
+      filter: STR.describe("Filtro: upcoming, past"),
+      page: NUM_STR,
+      include: STR,
+    }),
+  },
+  {
+    name: "freshsales_suite_delete_meeting",
+    description: "Elimina una reunion por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+
+  // ── Sales Activities ──────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_custom_sales_activity",
+    description: "Crea una actividad de venta.",
+    schema: createSchema({
+      title: STR,
+      notes: STR,
+      start_date: DATETIME,
+      end_date: DATETIME,
+      sales_activity_type_id: ID_OR_LABEL,
+      sales_activity_outcome_id: ID_OR_LABEL,
+      owner_id: ID_OR_LABEL,
+      targetable_type: STR.describe("Contact, Deal, SalesAccount"),
+      targetable_id: NUM_STR,
+      duration: NUM_STR,
+      location: STR,
+      collaborators: NUM_ARR,
+    }),
+  },
+  {
+    name: "freshsales_suite_update_sales_activity",
+    description: "Actualiza una actividad de venta existente.",
+    schema: createSchema(
+      {
+        id: NUM_STR,
         title: STR,
         notes: STR,
-        start_date: STR,
-        end_date: STR,
-        sales_activity_type_id: NUM_STR,
-        sales_activity_outcome_id: NUM_STR,
-        owner_id: NUM_STR,
-        targetable_type: { ...STR, description: "Contact, Deal, SalesAccount" },
+        start_date: DATETIME,
+        end_date: DATETIME,
+        sales_activity_type_id: ID_OR_LABEL,
+        sales_activity_outcome_id: ID_OR_LABEL,
+        owner_id: ID_OR_LABEL,
+        targetable_type: STR,
         targetable_id: NUM_STR,
         duration: NUM_STR,
         location: STR,
-        collaborators: NUM_ARR,
-      }),
-    },
-    {
-      name: "freshsales_suite_update_sales_activity",
-      description: "Actualiza una actividad de venta existente.",
-      inputSchema: createSchema(
-        {
-          id: NUM_STR,
-          title: STR,
-          notes: STR,
-          start_date: STR,
-          end_date: STR,
-          sales_activity_type_id: NUM_STR,
-          sales_activity_outcome_id: NUM_STR,
-          owner_id: NUM_STR,
-          targetable_type: STR,
-          targetable_id: NUM_STR,
-          duration: NUM_STR,
-          location: STR,
-        },
-        ["id"],
-      ),
-    },
-    {
-      name: "freshsales_suite_find_sales_activity",
-      description: "Obtiene los detalles de una actividad de venta por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-    {
-      name: "freshsales_suite_list_sales_activities",
-      description: "Lista actividades de venta.",
-      inputSchema: createSchema({ page: NUM_STR, include: STR }),
-    },
-    {
-      name: "freshsales_suite_delete_sales_activity",
-      description: "Elimina una actividad de venta por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-
-    // ── Notes ─────────────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_list_contact_notes",
-      description: "Lista todas las notas asociadas a un contacto.",
-      inputSchema: createSchema(
-        {
-          search_by: { ...STR, description: "Campo para buscar: contact_id, email, phone, external_id" },
-          value_for_find_by: NUM_STR,
-          page: NUM_STR,
-        },
-        ["search_by", "value_for_find_by"],
-      ),
-    },
-    {
-      name: "freshsales_suite_add_note_to_contact",
-      description: "Agrega una nota a un contacto.",
-      inputSchema: createSchema(
-        {
-          note__description: STR,
-          update_by: { ...STR, description: "contact_id, email, phone, external_id" },
-          value_for_update_by: NUM_STR,
-        },
-        ["note__description", "update_by", "value_for_update_by"],
-      ),
-    },
-    {
-      name: "freshsales_suite_add_note",
-      description: "Crea una nota en un modulo seleccionado (Contact, Deal, SalesAccount).",
-      inputSchema: createSchema(
-        {
-          note_input: { ...STR, description: "Contenido de la nota" },
-          module_type: { ...STR, description: "contact, deal, sales_account" },
-          targetable_id: NUM_STR,
-        },
-        ["note_input", "module_type", "targetable_id"],
-      ),
-    },
-    {
-      name: "freshsales_suite_update_note",
-      description: "Actualiza una nota existente.",
-      inputSchema: createSchema(
-        { id: NUM_STR, description: { ...STR, description: "Nuevo contenido de la nota" } },
-        ["id", "description"],
-      ),
-    },
-    {
-      name: "freshsales_suite_delete_note",
-      description: "Elimina una nota por ID.",
-      inputSchema: createSchema({ id: NUM_STR }, ["id"]),
-    },
-
-    // ── Files ─────────────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_add_file",
-      description: "Sube un archivo y lo asocia a un registro.",
-      inputSchema: createSchema(
-        {
-          file_name: STR,
-          file_path: STR,
-          select_one_module: { ...STR, description: "contact, deal, sales_account" },
-          unique_identifier: NUM_STR,
-          share_with_team: BOOL_STR,
-        },
-        ["file_name", "file_path", "select_one_module", "unique_identifier"],
-      ),
-    },
-
-    // ── Marketing Events ──────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_a_marketing_event",
-      description: "Crea un evento de marketing (solo Freshsales Suite y Freshmarketer).",
-      inputSchema: createSchema({
-        event_name: STR,
-        unique_identifer_name: STR,
-        unique_identifier: NUM_STR,
-        additional_event_properties: { type: ["object", "array", "string"] },
-      }),
-    },
-
-    // ── Custom Modules ────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_a_record_on_custom_module",
-      description: "Crea un registro en un modulo personalizado.",
-      inputSchema: createSchema({ module_name: STR, fields: { type: "object" } }, ["module_name"]),
-    },
-
-    // ── Users ─────────────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_find_user",
-      description: "Busca un usuario existente por correo electronico.",
-      inputSchema: createSchema({ email_id_of_the_user: STR }, ["email_id_of_the_user"]),
-    },
-
-    // ── Search & Lookup ───────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_search",
-      description:
-        "Busqueda general en Freshsales. Busca a traves de contactos, cuentas, deals y otros modulos.",
-      inputSchema: createSchema(
-        {
-          q: { ...STR, description: "Termino de busqueda" },
-          include: { ...STR, description: "Entidades a incluir separadas por coma: contact, sales_account, deal, user" },
-        },
-        ["q"],
-      ),
-    },
-    {
-      name: "freshsales_suite_lookup",
-      description:
-        "Busqueda especifica por campo. Mas preciso que search. Util para buscar contactos por email, telefono, etc.",
-      inputSchema: createSchema(
-        {
-          q: { ...STR, description: "Valor a buscar" },
-          f: { ...STR, description: "Campo: email, mobile_number, phone, name, external_id, etc." },
-          entities: { ...STR, description: "Tipo de entidad: contact, sales_account, deal" },
-        },
-        ["q", "f", "entities"],
-      ),
-    },
-
-    // ── Selectors / Configuration ─────────────────────────────────────────
-    {
-      name: "freshsales_suite_get_selector",
+      },
+      ["id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_find_sales_activity",
+    description: "Obtiene los detalles de una actividad de venta por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+  {
+    name: "freshsales_suite_list_sales_activities",
+    description: "Lista actividades de venta.",
+    schema: createSchema({ page: NUM_STR, include: STR }),
+  },
+  {
+    name: "freshsales_suite_delete_sales_activity",
+    description: "Elimina una actividad de venta por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+
+  // ── Notes ─────────────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_list_contact_notes",
+    description: "Lista todas las notas asociadas a un contacto.",
+    schema: createSchema(
+      {
+        search_by: STR.describe("Campo para buscar: contact_id, email, phone, external_id"),
+        value_for_find_by: ID_OR_STR,
+        page: NUM_STR,
+      },
+      ["search_by", "value_for_find_by"],
+    ),
+  },
+  {
+    name: "freshsales_suite_add_note_to_contact",
+    description: "Agrega una nota a un contacto. El contenido se escribe en Markdown salvo format: html.",
+    schema: createSchema(
+      {
+        note__description: STR.describe("Contenido de la nota"),
+        format: NOTE_FORMAT,
+        update_by: STR.describe("contact_id, email, phone, external_id"),
+        value_for_update_by: ID_OR_STR,
+      },
+      ["note__description", "update_by", "value_for_update_by"],
+    ),
+  },
+  {
+    name: "freshsales_suite_add_note",
+    description:
+      "Crea una nota en un modulo seleccionado (Contact, Deal, SalesAccount). " +
+      "El contenido se escribe en Markdown salvo format: html.",
+    schema: createSchema(
+      {
+        note_input: STR.describe("Contenido de la nota"),
+        format: NOTE_FORMAT,
+        module_type: STR.describe("contact, deal, sales_account"),
+        targetable_id: NUM_STR,
+      },
+      ["note_input", "module_type", "targetable_id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_update_note",
+    description: "Actualiza una nota existente. El contenido se escribe en Markdown salvo format: html.",
+    schema: createSchema(
+      { id: NUM_STR, description: STR.describe("Nuevo contenido de la nota"), format: NOTE_FORMAT },
+      ["id", "description"],
+    ),
+  },
+  {
+    name: "freshsales_suite_delete_note",
+    description: "Elimina una nota por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+
+  // ── Bulk ──────────────────────────────────────────────────────────────
+  ...BULK_ENTITIES.flatMap((entity) =>
+    BULK_ACTIONS.map((action) => ({
+      name: `freshsales_suite_bulk_${action}_${entity.name}`,
       description:
-        "Obtiene datos de configuracion: owners, territories, deal_stages, currencies, deal_reasons, " +
-        "deal_types, lead_sources, industry_types, business_types, campaigns, deal_payment_statuses, " +
-        "deal_products, deal_pipelines, contact_statuses, sales_activity_types, sales_activity_outcomes, " +
-        "lifecycle_stages, designations.",
-      inputSchema: createSchema(
+        `Aplica freshsales_suite_${action}_${entity.single} a varios ${entity.label} en una llamada ` +
+        `(maximo ${MAX_BULK_RECORDS}) y devuelve el resultado de cada fila.` +
+        (action === "update" ? " Cada fila lleva el id del registro." : ""),
+      schema: createSchema(
         {
-          selector_type: {
-            ...STR,
-            description:
-              "Tipo: owners, territories, deal_stages, currencies, deal_reasons, deal_types, " +
-              "lead_sources, industry_types, business_types, campaigns, deal_payment_statuses, " +
-              "deal_products, deal_pipelines, contact_statuses, sales_activity_types, " +
-              "sales_activity_outcomes, lifecycle_stages, designations",
-          },
-          parent_id: { ...NUM_STR, description: "ID padre (ej: pipeline_id para obtener sus deal_stages)" },
+          records: z
+            .array(JSON_OBJECT)
+            .min(1)
+            .max(MAX_BULK_RECORDS)
+            .describe(`Filas con los mismos argumentos que freshsales_suite_${action}_${entity.single}`),
         },
-        ["selector_type"],
+        ["records"],
       ),
-    },
-
-    // ── Marketing Lists ───────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_create_list",
-      description: "Crea una nueva lista de marketing.",
-      inputSchema: createSchema({ name: STR }, ["name"]),
-    },
-    {
-      name: "freshsales_suite_list_lists",
-      description: "Obtiene todas las listas de marketing.",
-      inputSchema: createSchema({}),
-    },
-    {
-      name: "freshsales_suite_add_contacts_to_list",
-      description: "Agrega contactos a una lista de marketing.",
-      inputSchema: createSchema(
-        { list_id: NUM_STR, ids: { type: "array", items: NUM_STR, description: "IDs de contactos" } },
-        ["list_id", "ids"],
-      ),
-    },
-    {
-      name: "freshsales_suite_remove_contacts_from_list",
-      description: "Remueve contactos de una lista de marketing.",
-      inputSchema: createSchema(
-        { list_id: NUM_STR, ids: { type: "array", items: NUM_STR, description: "IDs de contactos (vacio = todos)" } },
-        ["list_id"],
-      ),
-    },
+    })),
+  ),
+  {
+    name: "freshsales_suite_bulk_delete",
+    description: "Elimina varios contactos, cuentas o deals por ID y devuelve el resultado de cada uno.",
+    schema: createSchema(
+      {
+        entity: z.enum(["contact", "sales_account", "deal"]),
+        ids: NUM_ARR.min(1).max(MAX_BULK_RECORDS),
+      },
+      ["entity", "ids"],
+    ),
+  },
+
+  // ── Import / Export ───────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_export_records",
+    description:
+      "Exporta a CSV o JSONL todos los registros de una vista (view_id) o de una busqueda por condiciones, " +
+      "con columnas aplanadas y nombradas con la etiqueta de cada campo. " +
+      "En modo stdio escribe un archivo; en modo HTTP lo devuelve como recurso.",
+    schema: createSchema(
+      {
+        entity: z.enum(["contact", "sales_account", "deal"]),
+        view_id: NUM_STR.describe("ID de la vista a exportar"),
+        conditions: FILTER_CONDITIONS.describe("Condiciones como en freshsales_suite_filtered_search (en lugar de view_id)"),
+        sort: STR,
+        sort_type: STR.describe("asc o desc"),
+        format: z.enum(["csv", "jsonl"]).describe("csv (por defecto) o jsonl"),
+        delimiter: z.enum([",", ";"]).describe("Separador del CSV (por defecto ,)"),
+        columns: STR_ARR.describe("Columnas a incluir y su orden, ej: [\"id\", \"email\", \"custom_field.cf_region\"]"),
+        max_records: NUM_STR.describe("Maximo de registros (tope 10000 por defecto)"),
+        file_path: STR.describe(
+          "Ruta de un archivo nuevo a escribir (solo en modo stdio; por defecto en el directorio actual). " +
+            "No se sobrescriben archivos existentes",
+        ),
+      },
+      ["entity"],
+    ),
+  },
+
+  {
+    name: "freshsales_suite_import_csv",
+    description:
+      "Importa contactos o cuentas desde un CSV (upsert, deduplicando por email, external_id o nombre). " +
+      "Por defecto es una vista previa (dry_run) con el mapeo de columnas sugerido; " +
+      "repetir con dry_run: false para importar.",
+    schema: createSchema(
+      {
+        entity: z.enum(["contact", "sales_account"]),
+        file_path: STR.describe("Ruta local del CSV (solo en modo stdio)"),
+        content: STR.describe("Contenido del CSV como texto"),
+        content_base64: STR.describe("Contenido del CSV en base64"),
+        mapping: z
+          .record(z.string(), STR)
+          .describe(
+            "Columna -> campo, ej: { \"Correo\": \"email\", \"Region\": \"cf_region\", \"Empresa\": \"account_name\" }. " +
+              "Si se omite se sugiere a partir de las etiquetas de los campos.",
+          ),
+        dedupe_on: z
+          .enum(["email", "external_id", "name"])
+          .describe("contact: email (por defecto) o external_id; sales_account: name (por defecto) o external_id"),
+        dry_run: BOOL_STR.describe("true (por defecto) solo muestra la vista previa"),
+      },
+      ["entity"],
+    ),
+  },
+
+  // ── Files ─────────────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_add_file",
+    description:
+      "Sube un archivo y lo asocia a un registro. El archivo puede venir en base64, como recurso MCP, " +
+      "de una URL https o (solo en modo stdio) de una ruta local.",
+    schema: createSchema(
+      {
+        file_name: STR.describe("Nombre del archivo (por defecto el de la ruta, recurso o URL)"),
+        file_path: STR.describe("Ruta local del archivo (solo en modo stdio)"),
+        content_base64: STR.describe("Contenido del archivo en base64"),
+        resource: z
+          .object({ uri: STR, mimeType: STR.optional(), blob: STR.optional(), text: STR.optional() })
+          .describe("Recurso MCP embebido con el archivo (blob en base64 o text)"),
+        url: STR.describe("URL https desde la que descargar el archivo"),
+        mime_type: STR.describe("Tipo MIME, ej: application/pdf"),
+        select_one_module: STR.describe("contact, deal, sales_account"),
+        unique_identifier: NUM_STR,
+        share_with_team: BOOL_STR,
+      },
+      ["select_one_module", "unique_identifier"],
+    ),
+  },
+  {
+    name: "freshsales_suite_list_documents",
+    description: "Lista los archivos y enlaces asociados a un contacto, cuenta o deal.",
+    schema: createSchema(
+      { entity: z.enum(["contact", "sales_account", "deal"]), id: NUM_STR },
+      ["entity", "id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_get_document",
+    description: "Descarga un archivo por ID y lo devuelve como recurso MCP embebido.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+  {
+    name: "freshsales_suite_delete_document",
+    description: "Elimina un archivo o enlace por ID.",
+    schema: createSchema({ id: NUM_STR }, ["id"]),
+  },
+
+  // ── Marketing Events ──────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_a_marketing_event",
+    description: "Crea un evento de marketing (solo Freshsales Suite y Freshmarketer).",
+    schema: createSchema({
+      event_name: STR,
+      unique_identifer_name: STR,
+      unique_identifier: ID_OR_STR,
+      additional_event_properties: z.union([JSON_OBJECT, z.array(z.unknown()), STR]),
+    }),
+  },
+
+  // ── Custom Modules ────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_list_custom_modules",
+    description:
+      "Lista los modulos personalizados de la cuenta. Con module_name o include_fields incluye sus campos " +
+      "(nombre, etiqueta, tipo, opciones).",
+    schema: createSchema({
+      module_name: MODULE_NAME,
+      include_fields: BOOL_STR.describe("Incluir los campos de cada modulo"),
+    }),
+  },
+  {
+    name: "freshsales_suite_list_custom_module_filters",
+    description: "Lista las vistas/filtros disponibles para un modulo personalizado.",
+    schema: createSchema({ module_name: MODULE_NAME }, ["module_name"]),
+  },
+  {
+    name: "freshsales_suite_list_custom_module_records",
+    description: "Lista registros de un modulo personalizado desde una vista (view_id o cursor de una llamada anterior).",
+    schema: createSchema(
+      {
+        module_name: MODULE_NAME,
+        view_id: NUM_STR,
+        page: NUM_STR,
+        sort: STR,
+        sort_type: STR,
+        ...PAGINATION_FIELDS,
+      },
+      ["module_name"],
+    ),
+  },
+  {
+    name: "freshsales_suite_search_custom_module_records",
+    description:
+      "Busca registros de un modulo personalizado que cumplan todas las condiciones dadas (AND). " +
+      "Para registros relacionados usar el campo de busqueda (lookup), ej: cf_account con el ID de la cuenta.",
+    schema: createSchema(
+      {
+        module_name: MODULE_NAME,
+        conditions: FILTER_CONDITIONS,
+        page: NUM_STR.describe("Pagina (por defecto 1)"),
+        per_page: NUM_STR.describe("Registros por pagina (por defecto 25, maximo 100)"),
+        sort: STR,
+        sort_type: STR.describe("asc o desc"),
+      },
+      ["module_name", "conditions"],
+    ),
+  },
+  {
+    name: "freshsales_suite_get_custom_module_record",
+    description: "Obtiene un registro de un modulo personalizado por ID, opcionalmente con sus registros relacionados.",
+    schema: createSchema(
+      {
+        module_name: MODULE_NAME,
+        id: NUM_STR,
+        include: STR.describe("Relaciones a incluir, ej: owner,creater,updater o el nombre de un campo lookup"),
+      },
+      ["module_name", "id"],
+    ),
+  },
+  {
+    name: "freshsales_suite_create_a_record_on_custom_module",
+    description: "Crea un registro en un modulo personalizado.",
+    schema: createSchema({ module_name: MODULE_NAME, fields: JSON_OBJECT }, ["module_name"]),
+  },
+  {
+    name: "freshsales_suite_update_custom_module_record",
+    description: "Actualiza campos de un registro de un modulo personalizado.",
+    schema: createSchema(
+      { module_name: MODULE_NAME, id: NUM_STR, fields: JSON_OBJECT },
+      ["module_name", "id", "fields"],
+    ),
+  },
+  {
+    name: "freshsales_suite_delete_custom_module_record",
+    description: "Elimina un registro de un modulo personalizado por ID.",
+    schema: createSchema({ module_name: MODULE_NAME, id: NUM_STR }, ["module_name", "id"]),
+  },
+
+  // ── Users ─────────────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_find_user",
+    description: "Busca un usuario existente por correo electronico.",
+    schema: createSchema({ email_id_of_the_user: STR }, ["email_id_of_the_user"]),
+  },
+
+  // ── Search & Lookup ───────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_search",
+    description:
+      "Busqueda general en Freshsales. Busca a traves de contactos, cuentas, deals y otros modulos.",
+    schema: createSchema(
+      {
+        q: STR.describe("Termino de busqueda"),
+        include: STR.describe("Entidades a incluir separadas por coma: contact, sales_account, deal, user"),
+      },
+      ["q"],
+    ),
+  },
+  {
+    name: "freshsales_suite_lookup",
+    description:
+      "Busqueda especifica por campo. Mas preciso que search. Util para buscar contactos por email, telefono, etc.",
+    schema: createSchema(
+      {
+        q: STR.describe("Valor a buscar"),
+        f: STR.describe("Campo: email, mobile_number, phone, name, external_id, etc."),
+        entities: STR.describe("Tipo de entidad: contact, sales_account, deal"),
+      },
+      ["q", "f", "entities"],
+    ),
+  },
+  {
+    name: "freshsales_suite_filtered_search",
+    description:
+      "Busca contactos, cuentas o deals que cumplan todas las condiciones dadas (AND). " +
+      "Para owner_id, deal_stage_id, lead_source_id, etc. se puede usar el nombre en lugar del ID.",
+    schema: createSchema(
+      {
+        entity: z.enum(["contact", "sales_account", "deal"]),
+        conditions: FILTER_CONDITIONS,
+        page: NUM_STR.describe("Pagina (por defecto 1)"),
+        per_page: NUM_STR.describe("Registros por pagina (por defecto 25, maximo 100)"),
+        sort: STR,
+        sort_type: STR.describe("asc o desc"),
+      },
+      ["entity", "conditions"],
+    ),
+  },
+
+  // ── Selectors / Configuration ─────────────────────────────────────────
+  {
+    name: "freshsales_suite_get_selector",
+    description:
+      "Obtiene datos de configuracion: owners, territories, deal_stages, currencies, deal_reasons, " +
+      "deal_types, lead_sources, industry_types, business_types, campaigns, deal_payment_statuses, " +
+      "deal_products, deal_pipelines, contact_statuses, sales_activity_types, sales_activity_outcomes, " +
+      "lifecycle_stages, designations.",
+    schema: createSchema(
+      {
+        selector_type: STR.describe(
+          "Tipo: owners, territories, deal_stages, currencies, deal_reasons, deal_types, " +
+            "lead_sources, industry_types, business_types, campaigns, deal_payment_statuses, " +
+            "deal_products, deal_pipelines, contact_statuses, sales_activity_types, " +
+            "sales_activity_outcomes, lifecycle_stages, designations",
+        ),
+        parent_id: NUM_STR.describe("ID padre (ej: pipeline_id para obtener sus deal_stages)"),
+      },
+      ["selector_type"],
+    ),
+  },
+  {
+    name: "freshsales_suite_refresh_metadata",
+    description:
+      "Vacia la cache de metadatos (selectores, campos, modulos, usuarios, vistas) para que la siguiente " +
+      "llamada los vuelva a leer de Freshsales. Usar despues de cambiar la configuracion de la cuenta.",
+    schema: createSchema({
+      kind: z.enum(["all", ...METADATA_KINDS]).describe("Que metadatos vaciar (por defecto all)"),
+    }),
+  },
+
+  // ── Marketing Lists ───────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_create_list",
+    description: "Crea una nueva lista de marketing.",
+    schema: createSchema({ name: STR }, ["name"]),
+  },
+  {
+    name: "freshsales_suite_list_lists",
+    description: "Obtiene todas las listas de marketing.",
+    schema: createSchema({}),
+  },
+  {
+    name: "freshsales_suite_add_contacts_to_list",
+    description: "Agrega contactos a una lista de marketing.",
+    schema: createSchema(
+      { list_id: NUM_STR, ids: NUM_ARR.describe("IDs de contactos") },
+      ["list_id", "ids"],
+    ),
+  },
+  {
+    name: "freshsales_suite_remove_contacts_from_list",
+    description: "Remueve contactos de una lista de marketing.",
+    schema: createSchema(
+      { list_id: NUM_STR, ids: NUM_ARR.describe("IDs de contactos (vacio = todos)") },
+      ["list_id"],
+    ),
+  },
+
+  // ── Phone Calls ───────────────────────────────────────────────────────
+  {
+    name: "freshsales_suite_log_phone_call",
+    description: "Registra una llamada telefonica manualmente.",
+    schema: createSchema({
+      contact_id: NUM_STR,
+      deal_id: NUM_STR,
+      note: STR,
+      duration: NUM_STR,
+      call_direction: STR.describe("Outgoing o Incoming"),
+      call_type: STR.describe("Tipo de llamada"),
+    }),
+  },
+];
+
+const staticTools = buildToolDefinitions();
+const dynamicTools = new WeakMap();
+
+const toolDefinitionsFor = (fieldSettings) => {
+  if (!fieldSettings) return staticTools;
+  if (!dynamicTools.has(fieldSettings)) dynamicTools.set(fieldSettings, buildToolDefinitions(fieldSettings));
+  return dynamicTools.get(fieldSettings);
+};
 
-    // ── Phone Calls ───────────────────────────────────────────────────────
-    {
-      name: "freshsales_suite_log_phone_call",
-      description: "Registra una llamada telefonica manualmente.",
-      inputSchema: createSchema({
-        contact_id: NUM_STR,
-        deal_id: NUM_STR,
-        note: STR,
-        duration: NUM_STR,
-        call_direction: { ...STR, description: "Outgoing o Incoming" },
-        call_type: { ...STR, description: "Tipo de llamada" },
-      }),
-    },
-  ];
+// Pass the result of loadFieldSettings() to advertise the account's fields.
+export function getTools(fieldSettings = null) {
+  return toolDefinitionsFor(fieldSettings).map(({ name, description, schema }) => ({
+    name,
+    description,
+    inputSchema: toInputSchema(schema),
+  }));
 }
 
 // ---------------------------------------------------------------------------
 // TOOL IMPLEMENTATIONS
 // ---------------------------------------------------------------------------
 
-export async function runTool(http, name, args = {}) {
+// `localFiles: false` (HTTP mode) stops tools from reading paths on the
+// server's own disk.
+export async function runTool(http, name, args = {}, { scopes, localFiles = true } = {}) {
+  if (!isToolAllowed(name, scopes)) {
+    const required = getToolScope(name);
+    const error = new Error(`Tool ${name} requires the ${required} scope`);
+    error.code = "insufficient_scope";
+    error.required_scope = required;
+    throw error;
+  }
+
+  const tool = toolDefinitionsFor(await loadFieldSettings(http)).find((t) => t.name === name);
+  if (!tool) throw new Error(`Unknown tool: ${name}`);
+  const parsedArgs = tool.schema.parse(args ?? {});
+
+  // Rate-limit waits and retries are reported alongside the result so the
+  // model knows why a call was slow; FRESHSALES_DEBUG adds cache hits.
+  const stats = {
+    throttling: { waited_ms: 0, retries: 0, rate_limit_remaining: null },
+    cache: { hits: [], misses: [] },
+  };
+  const annotate = (target) => {
+    if (stats.throttling.waited_ms > 0 || stats.throttling.retries > 0) target.throttling = stats.throttling;
+    if (DEBUG) target.debug = { cache: stats.cache };
+    return target;
+  };
+  try {
+    const result = await callStats.run(stats, async () =>
+      executeTool(http, name, await resolveSelectorLabels(http, parsedArgs), { localFiles }),
+    );
+    return annotate({ ...result });
+  } catch (error) {
+    throw annotate(error);
+  }
+}
+
+async function executeTool(http, name, args, context = { localFiles: true }) {
   switch (name) {
     // ── Contacts ────────────────────────────────────────────────────────
 
@@ -1043,6 +3975,12 @@ export async function runTool(http, name, args = {}) {
       return sanitizeNotesInPayload({ success: true, ...result });
     }
 
+    case "freshsales_suite_find_duplicate_contacts":
+      return findDuplicateContacts(http, args);
+
+    case "freshsales_suite_merge_contacts":
+      return mergeContacts(http, args);
+
     case "freshsales_suite_delete_contact": {
       const id = parseId(args.id);
       if (!id) throw new Error("id must be a valid numeric ID");
@@ -1050,16 +3988,8 @@ export async function runTool(http, name, args = {}) {
       return { success: true, id, deleted: true };
     }
 
-    case "freshsales_suite_list_contacts": {
-      const viewId = parseId(args.view_id);
-      if (!viewId) throw new Error("view_id is required");
-      const params = {};
-      if (args.page) params.page = args.page;
-      if (args.sort) params.sort = args.sort;
-      if (args.sort_type) params.sort_type = args.sort_type;
-      const res = await http.get(`/contacts/view/${viewId}`, { params });
-      return sanitizeNotesInPayload({ success: true, ...res.data });
-    }
+    case "freshsales_suite_list_contacts":
+      return listView(http, "contacts", args);
 
     case "freshsales_suite_list_contact_filters": {
       const res = await http.get("/contacts/filters");
@@ -1109,6 +4039,12 @@ export async function runTool(http, name, args = {}) {
       return sanitizeNotesInPayload({ success: true, ...result });
     }
 
+    case "freshsales_suite_get_account_summary":
+      return accountSummary(http, args);
+
+    case "freshsales_suite_get_timeline":
+      return buildTimeline(http, args);
+
     case "freshsales_suite_delete_account": {
       const id = parseId(args.id);
       if (!id) throw new Error("id is required");
@@ -1118,16 +4054,8 @@ export async function runTool(http, name, args = {}) {
       return { success: true, id, deleted: true };
     }
 
-    case "freshsales_suite_list_accounts": {
-      const viewId = parseId(args.view_id);
-      if (!viewId) throw new Error("view_id is required");
-      const params = {};
-      if (args.page) params.page = args.page;
-      if (args.sort) params.sort = args.sort;
-      if (args.sort_type) params.sort_type = args.sort_type;
-      const res = await http.get(`/sales_accounts/view/${viewId}`, { params });
-      return sanitizeNotesInPayload({ success: true, ...res.data });
-    }
+    case "freshsales_suite_list_accounts":
+      return listView(http, "sales_accounts", args);
 
     case "freshsales_suite_list_account_filters": {
       const res = await http.get("/sales_accounts/filters");
@@ -1178,16 +4106,8 @@ export async function runTool(http, name, args = {}) {
       return { success: true, id, deleted: true };
     }
 
-    case "freshsales_suite_list_deals": {
-      const viewId = parseId(args.view_id);
-      if (!viewId) throw new Error("view_id is required");
-      const params = {};
-      if (args.page) params.page = args.page;
-      if (args.sort) params.sort = args.sort;
-      if (args.sort_type) params.sort_type = args.sort_type;
-      const res = await http.get(`/deals/view/${viewId}`, { params });
-      return sanitizeNotesInPayload({ success: true, ...res.data });
-    }
+    case "freshsales_suite_list_deals":
+      return listView(http, "deals", args);
 
     case "freshsales_suite_list_deal_filters": {
       const res = await http.get("/deals/filters");
@@ -1366,32 +4286,35 @@ export async function runTool(http, name, args = {}) {
       const params = {};
       if (isDefined(args.page)) params.page = args.page;
       const res = await http.get(`/contacts/${id}/notes`, { params });
-      const notes = (res.data.notes ?? res.data ?? []).map(sanitizeNoteResponse);
-      return sanitizeNotesInPayload({ success: true, contact_id: id, notes });
+      return sanitizeNotesInPayload({ success: true, contact_id: id, notes: res.data.notes ?? res.data ?? [] });
     }
 
     case "freshsales_suite_add_note_to_contact": {
       const id = await resolveContactId(http, args.update_by, args.value_for_update_by);
-      const note = { description: args.note__description, targetable_type: "Contact", targetable_id: id };
+      const note = {
+        description: noteHtml(args.note__description, args.format),
+        targetable_type: "Contact",
+        targetable_id: id,
+      };
       const res = await http.post("/notes", { note });
-      return sanitizeNotesInPayload({ success: true, id, note: sanitizeNoteResponse(res.data.note ?? res.data) });
+      return sanitizeNotesInPayload({ success: true, id, note: res.data.note ?? res.data });
     }
 
     case "freshsales_suite_add_note": {
       const note = {
-        description: args.note_input,
+        description: noteHtml(args.note_input, args.format),
         targetable_type: mapTargetableType(args.module_type),
         targetable_id: args.targetable_id,
       };
       const res = await http.post("/notes", { note });
-      return sanitizeNotesInPayload({ success: true, note: sanitizeNoteResponse(res.data.note ?? res.data) });
+      return sanitizeNotesInPayload({ success: true, note: res.data.note ?? res.data });
     }
 
     case "freshsales_suite_update_note": {
       const id = parseId(args.id);
       if (!id) throw new Error("id is required");
-      const res = await http.put(`/notes/${id}`, { note: { description: args.description } });
-      return sanitizeNotesInPayload({ success: true, id, note: sanitizeNoteResponse(res.data.note ?? res.data) });
+      const res = await http.put(`/notes/${id}`, { note: { description: noteHtml(args.description, args.format) } });
+      return sanitizeNotesInPayload({ success: true, id, note: res.data.note ?? res.data });
     }
 
     case "freshsales_suite_delete_note": {
@@ -1401,18 +4324,47 @@ export async function runTool(http, name, args = {}) {
       return { success: true, id, deleted: true };
     }
 
+    // ── Bulk ────────────────────────────────────────────────────────────
+
+    case "freshsales_suite_bulk_create_contacts":
+    case "freshsales_suite_bulk_update_contacts":
+    case "freshsales_suite_bulk_upsert_contacts":
+    case "freshsales_suite_bulk_create_accounts":
+    case "freshsales_suite_bulk_update_accounts":
+    case "freshsales_suite_bulk_upsert_accounts":
+    case "freshsales_suite_bulk_create_deals":
+    case "freshsales_suite_bulk_update_deals":
+    case "freshsales_suite_bulk_upsert_deals":
+      return bulkWrite(http, name, args.records);
+
+    case "freshsales_suite_bulk_delete":
+      return bulkDelete(http, args);
+
+    // ── Import / Export ─────────────────────────────────────────────────
+
+    case "freshsales_suite_export_records":
+      return exportRecords(http, args, context);
+
+    case "freshsales_suite_import_csv":
+      return importCsv(http, args, context);
+
     // ── Files ───────────────────────────────────────────────────────────
 
-    case "freshsales_suite_add_file": {
-      const fileBuffer = await fs.readFile(args.file_path);
-      const form = new FormData();
-      const finalFileName = args.file_name || path.basename(args.file_path);
-      form.append("file", new Blob([fileBuffer]), finalFileName);
-      form.append("targetable_type", mapTargetableType(args.select_one_module));
-      form.append("targetable_id", String(args.unique_identifier));
-      if (isDefined(args.share_with_team)) form.append("share_with_team", String(args.share_with_team));
-      const res = await http.post("/documents", form, { headers: { ...form.getHeaders?.() } });
-      return sanitizeNotesInPayload({ success: true, file: res.data.document ?? res.data });
+    case "freshsales_suite_add_file":
+      return uploadDocument(http, args, context);
+
+    case "freshsales_suite_list_documents": {
+      const res = await http.get(`/${RECORD_COLLECTIONS[args.entity]}/${args.id}/document_associations`);
+      const documents = res.data.document_associations ?? res.data.documents ?? res.data;
+      return { success: true, entity: args.entity, id: args.id, documents };
+    }
+
+    case "freshsales_suite_get_document":
+      return getDocument(http, args.id);
+
+    case "freshsales_suite_delete_document": {
+      await http.delete(`/documents/${args.id}`);
+      return { success: true, id: args.id, deleted: true };
     }
 
     // ── Marketing Events ────────────────────────────────────────────────
@@ -1436,17 +4388,62 @@ export async function runTool(http, name, args = {}) {
 
     // ── Custom Modules ──────────────────────────────────────────────────
 
+    case "freshsales_suite_list_custom_modules":
+      return listCustomModules(http, args);
+
+    case "freshsales_suite_list_custom_module_filters": {
+      const moduleName = await resolveCustomModule(http, args.module_name);
+      const res = await http.get(`${modulePath(moduleName)}/filters`);
+      return { success: true, module_name: moduleName, filters: res.data.filters ?? res.data };
+    }
+
+    case "freshsales_suite_list_custom_module_records": {
+      const moduleName = await resolveCustomModule(http, args.module_name);
+      const result = await listView(http, moduleName, args, { basePath: modulePath(moduleName) });
+      return { module_name: moduleName, ...result };
+    }
+
+    case "freshsales_suite_search_custom_module_records": {
+      const moduleName = await resolveCustomModule(http, args.module_name);
+      return filteredSearch(http, { ...args, entity: moduleName });
+    }
+
+    case "freshsales_suite_get_custom_module_record": {
+      const moduleName = await resolveCustomModule(http, args.module_name);
+      const params = {};
+      if (args.include) params.include = args.include;
+      const res = await http.get(`${modulePath(moduleName)}/${args.id}`, { params });
+      // Side-loaded related records (include=) sit next to the record.
+      const { [moduleName]: record, ...related } = res.data ?? {};
+      return sanitizeNotesInPayload({
+        success: true,
+        module_name: moduleName,
+        record: record ?? moduleRecord(res.data, moduleName),
+        ...(record ? related : {}),
+      });
+    }
+
     case "freshsales_suite_create_a_record_on_custom_module": {
-      const moduleName = args.module_name;
-      const record = args.fields ?? {};
-      let res;
-      try {
-        res = await http.post(`/custom_module/${encodeURIComponent(moduleName)}`, record);
-      } catch (err) {
-        if (err?.response?.status !== 404) throw err;
-        res = await http.post(`/custom_module/${encodeURIComponent(moduleName)}/records`, { record });
-      }
-      return sanitizeNotesInPayload({ success: true, module_name: moduleName, record: res.data.record ?? res.data });
+      const moduleName = await resolveCustomModule(http, args.module_name);
+      const res = await http.post(modulePath(moduleName), { [moduleName]: args.fields ?? {} });
+      return sanitizeNotesInPayload({ success: true, module_name: moduleName, record: moduleRecord(res.data, moduleName) });
+    }
+
+    case "freshsales_suite_update_custom_module_record": {
+      const moduleName = await resolveCustomModule(http, args.module_name);
+      const res = await http.put(`${modulePath(moduleName)}/${args.id}`, { [moduleName]: args.fields });
+      return sanitizeNotesInPayload({
+        success: true,
+        module_name: moduleName,
+        id: args.id,
+        record: moduleRecord(res.data, moduleName),
+      });
+    }
+
+    case "freshsales_suite_delete_custom_module_record": {
+      const moduleName = await resolveCustomModule(http, args.module_name);
+      await http.delete(`${modulePath(moduleName)}/${args.id}`);
+      return { success: true, module_name: moduleName, id: args.id, deleted: true };
     }
 
     // ── Users ───────────────────────────────────────────────────────────
@@ -1482,6 +4479,9 @@ export async function runTool(http, name, args = {}) {
       return sanitizeNotesInPayload({ success: true, ...res.data });
     }
 
+    case "freshsales_suite_filtered_search":
+      return filteredSearch(http, args);
+
     // ── Selectors / Configuration ───────────────────────────────────────
 
     case "freshsales_suite_get_selector": {
@@ -1496,6 +4496,13 @@ export async function runTool(http, name, args = {}) {
       return { success: true, selector_type: selectorType, data: res.data };
     }
 
+    case "freshsales_suite_refresh_metadata": {
+      const kind = args.kind ?? "all";
+      const cleared = clearMetadataCache(http, kind);
+      if (kind === "all" || kind === "fields") await loadFieldSettings(http, { refresh: true });
+      return { success: true, kind, cleared_entries: cleared };
+    }
+
     // ── Marketing Lists ─────────────────────────────────────────────────
 
     case "freshsales_suite_create_list": {
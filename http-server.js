@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 3000;
+const HOST = process.env.HOST || "0.0.0.0";
+// Same limit as Vercel functions, so a body that works there works here.
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 4.5 * 1024 * 1024;
+
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+// ---------------------------------------------------------------------------
+// vercel.json routing (single source of truth for headers and rewrites)
+// ---------------------------------------------------------------------------
+
+const toRouteRegex = (source) => new RegExp(`^${source}$`);
+
+async function loadRoutes() {
+  const config = JSON.parse(await fs.readFile(path.join(ROOT, "vercel.json"), "utf8"));
+
+  const headers = (config.headers ?? []).map((rule) => ({
+    match: toRouteRegex(rule.source),
+    headers: rule.headers,
+  }));
+
+  const rewrites = new Map();
+  for (const rule of config.rewrites ?? []) {
+    const mod = await import(path.join(ROOT, rule.destination));
+    rewrites.set(rule.source, mod.default);
+  }
+
+  return { headers, rewrites };
+}
+
+// ---------------------------------------------------------------------------
+// Vercel request/response helpers
+// ---------------------------------------------------------------------------
+
+class BodyTooLargeError extends Error {}
+
+async function readBody(req) {
+  if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) throw new BodyTooLargeError();
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new BodyTooLargeError();
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf8");
+  if (!raw) return undefined;
+
+  const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (type === "application/json") return JSON.parse(raw);
+  if (type === "application/x-www-form-urlencoded") {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  return raw;
+}
+
+function decorateResponse(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.json = (body) => {
+    if (!res.getHeader("Content-Type")) {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+    }
+    res.end(JSON.stringify(body));
+    return res;
+  };
+
+  res.send = (body) => {
+    if (body !== null && typeof body === "object" && !Buffer.isBuffer(body)) return res.json(body);
+    if (typeof body === "string" && !res.getHeader("Content-Type")) {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+    }
+    res.end(body);
+    return res;
+  };
+
+  res.redirect = (statusOrUrl, maybeUrl) => {
+    const [code, url] = maybeUrl === undefined ? [307, statusOrUrl] : [statusOrUrl, maybeUrl];
+    res.statusCode = code;
+    res.setHeader("Location", url);
+    res.end();
+    return res;
+  };
+
+  return res;
+}
+
+async function serveStatic(pathname, res) {
+  const file = pathname === "/" ? "index.html" : pathname.slice(1);
+  const publicDir = path.join(ROOT, "public");
+  const target = path.join(publicDir, file);
+  if (!target.startsWith(publicDir + path.sep)) return false;
+
+  try {
+    const body = await fs.readFile(target);
+    res.setHeader("Content-Type", STATIC_TYPES[path.extname(target)] || "application/octet-stream");
+    res.end(body);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "EISDIR") return false;
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const { headers, rewrites } = await loadRoutes();
+
+  const server = http.createServer(async (req, res) => {
+    decorateResponse(res);
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+    for (const rule of headers) {
+      if (!rule.match.test(url.pathname)) continue;
+      for (const { key, value } of rule.headers) res.setHeader(key, value);
+    }
+
+    try {
+      const handler = rewrites.get(url.pathname);
+      if (!handler) {
+        if (req.method === "GET" && (await serveStatic(url.pathname, res))) return;
+        return res.status(404).json({ error: "not_found" });
+      }
+
+      req.query = Object.fromEntries(url.searchParams);
+      try {
+        req.body = await readBody(req);
+      } catch (error) {
+        if (error instanceof BodyTooLargeError) {
+          // The rest of the upload is not read; the connection is dropped
+          // once the reply is out.
+          res.setHeader("Connection", "close");
+          res.on("finish", () => req.destroy());
+          return res
+            .status(413)
+            .json({ error: "payload_too_large", error_description: `Request body exceeds ${MAX_BODY_BYTES} bytes` });
+        }
+        return res.status(400).json({ error: "invalid_request", error_description: "Malformed request body" });
+      }
+
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Error handling ${req.method} ${url.pathname}:`, error);
+      if (!res.headersSent) res.status(500).json({ error: "server_error" });
+    }
+  });
+
+  server.listen(PORT, HOST, () => {
+    console.error(`Freshsales MCP HTTP server listening on http://${HOST}:${PORT}`);
+  });
+}
+
+main().catch((err) => {
+  console.error("Fatal Error:", err);
+  process.exit(1);
+});
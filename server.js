@@ -10,8 +10,10 @@ import {
   createHttpClient,
   ensureApiBasePath,
   getTools,
+  loadFieldSettings,
   normalizeBaseUrl,
   runTool,
+  toToolError,
 } from "./freshsales-tools.js";
 
 const API_KEY = process.env.FRESHSALES_API_KEY;
@@ -29,8 +31,9 @@ const http = createHttpClient({
   baseUrl: BASE_URL,
 });
 
-const toToolResult = (data) => ({
-  content: [{ type: "json", json: data }],
+// Files a tool returns (documents, ...) travel as embedded resources.
+const toToolResult = ({ resource, ...data }) => ({
+  content: [{ type: "json", json: data }, ...(resource ? [{ type: "resource", resource }] : [])],
 });
 
 async function main() {
@@ -44,19 +47,23 @@ async function main() {
     },
   );
 
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: getTools() }));
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: getTools(await loadFieldSettings(http)),
+  }));
 
   server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
     try {
-      const { name, arguments: args } = request.params;
       const result = await runTool(http, name, args);
       return toToolResult(result);
     } catch (error) {
-      const message = error.response?.data ?? error.message;
-      return toToolResult({ success: false, error: message });
+      return { ...toToolResult(toToolError(error, { name, args })), isError: true };
     }
   });
 
+  // Warms the account's field settings (a no-op unless dynamic schemas are on).
+  await loadFieldSettings(http);
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("Freshsales MCP Server (v3.0.0) running...");
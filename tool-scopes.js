@@ -0,0 +1,15 @@
+// OAuth scopes for the Freshsales tools. Kept apart from freshsales-tools.js
+// so the OAuth endpoints can check scopes without loading the tool module.
+
+export const TOOL_SCOPES = ["crm:read", "crm:write", "crm:delete"];
+
+// Tool names follow freshsales_suite_<verb>_..., so the verb decides the scope.
+export const getToolScope = (name = "") => {
+  // Merging removes the secondary records.
+  if (/^freshsales_suite_((bulk_)?delete|merge)(_|$)/.test(name)) return "crm:delete";
+  if (/^freshsales_suite_(find|list|search|filtered|lookup|get|refresh|export)(_|$)/.test(name)) return "crm:read";
+  return "crm:write";
+};
+
+// `scopes` undefined means unrestricted (stdio / shared-key deployments).
+export const isToolAllowed = (name, scopes) => !scopes || scopes.includes(getToolScope(name));